@@ -0,0 +1,100 @@
+/**
+ * ACHIEVEMENT BADGES
+ *
+ * Every badge a user can earn, and what it takes. Badges are checked
+ * whenever a user's progress is worked out (see routes/progress.js) and
+ * stored once earned, so they're never taken away again - even if a
+ * streak later breaks.
+ *
+ * Each `earned` check gets the user's lifetime stats:
+ * { totalLogs, longestStreak, moodsTried, journalEntries, goalsCompleted }
+ */
+
+const BUILT_IN_MOODS = ['happy', 'sad', 'energetic', 'relaxed', 'focused', 'romantic'];
+
+const badges = [
+  {
+    key: 'first-log',
+    name: 'First Note',
+    emoji: '🎵',
+    description: 'Log your first mood',
+    earned: stats => stats.totalLogs >= 1
+  },
+  {
+    key: 'explorer',
+    name: 'Music Explorer',
+    emoji: '🧭',
+    description: 'Log 10 mood sessions',
+    earned: stats => stats.totalLogs >= 10
+  },
+  {
+    key: 'centurion',
+    name: 'Centurion',
+    emoji: '💯',
+    description: 'Log 100 mood sessions',
+    earned: stats => stats.totalLogs >= 100
+  },
+  {
+    key: 'streak-3',
+    name: 'On a Roll',
+    emoji: '🔥',
+    description: 'Log a mood 3 days in a row',
+    earned: stats => stats.longestStreak >= 3
+  },
+  {
+    key: 'streak-7',
+    name: 'Week Warrior',
+    emoji: '📅',
+    description: 'Log a mood 7 days in a row',
+    earned: stats => stats.longestStreak >= 7
+  },
+  {
+    key: 'streak-30',
+    name: 'Monthly Maestro',
+    emoji: '🏆',
+    description: 'Log a mood 30 days in a row',
+    earned: stats => stats.longestStreak >= 30
+  },
+  {
+    key: 'full-spectrum',
+    name: 'Full Spectrum',
+    emoji: '🌈',
+    description: 'Try all six built-in moods',
+    earned: stats => BUILT_IN_MOODS.every(mood => stats.moodsTried.includes(mood))
+  },
+  {
+    key: 'dear-diary',
+    name: 'Dear Diary',
+    emoji: '📓',
+    description: 'Write journal notes on 10 mood logs',
+    earned: stats => stats.journalEntries >= 10
+  },
+  {
+    key: 'goal-getter',
+    name: 'Goal Getter',
+    emoji: '🎯',
+    description: 'Complete a goal',
+    earned: stats => stats.goalsCompleted >= 1
+  }
+];
+
+/**
+ * Get the keys of every badge that exists
+ */
+function getBadgeKeys() {
+  return badges.map(badge => badge.key);
+}
+
+/**
+ * Get the badges a user's stats qualify them for
+ * @returns {array} Badge keys
+ */
+function getEarnedBadgeKeys(stats) {
+  return badges.filter(badge => badge.earned(stats)).map(badge => badge.key);
+}
+
+module.exports = {
+  badges,
+  getBadgeKeys,
+  getEarnedBadgeKeys
+};
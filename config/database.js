@@ -5,39 +5,55 @@
  * It connects to MongoDB Atlas for cloud database storage.
  *
  * Features:
- * - Automatic connection retry
+ * - A few connection attempts at startup, then a clear failure
+ *   (instead of retrying forever while the server runs without a database)
  * - Connection event logging
  * - Graceful shutdown handling
- * - Environment-based configuration
+ * - Environment-based configuration (MONGODB_URI, see config/env.js)
  */
 
 const mongoose = require('mongoose');
+const { config } = require('./env');
+const { logger } = require('../utils/logger');
+
+// Attempts at startup before giving up, and the wait between them
+const MAX_CONNECT_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5000;
+
+// How long each attempt waits to find a server
+const SERVER_SELECTION_TIMEOUT_MS = 10000;
 
 /**
  * Connect to MongoDB Atlas
- * Uses connection string from environment variables
+ * Uses the connection string from MONGODB_URI. Once connected, Mongoose
+ * reconnects by itself if the connection drops later.
+ * @throws {Error} If every attempt fails
  */
 async function connectToDatabase() {
-  try {
-    // MongoDB connection string from environment
-    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/moodify';
-    
-    console.log('🔗 Connecting to MongoDB...');
-    
-    // Connect with recommended options
-    await mongoose.connect(mongoUri, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    });
-    
-    console.log('✅ Connected to MongoDB successfully');
-    
-  } catch (error) {
-    console.error('❌ MongoDB connection error:', error.message);
-    
-    // Retry connection after 5 seconds
-    console.log('🔄 Retrying connection in 5 seconds...');
-    setTimeout(connectToDatabase, 5000);
+  for (let attempt = 1; attempt <= MAX_CONNECT_ATTEMPTS; attempt++) {
+    try {
+      logger.info('Connecting to MongoDB', { attempt, maxAttempts: MAX_CONNECT_ATTEMPTS });
+
+      // Connect with recommended options
+      await mongoose.connect(config.MONGODB_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+        serverSelectionTimeoutMS: SERVER_SELECTION_TIMEOUT_MS
+      });
+
+      logger.info('Connected to MongoDB');
+      return;
+
+    } catch (error) {
+      logger.error('MongoDB connection error', { attempt, error });
+
+      if (attempt === MAX_CONNECT_ATTEMPTS) {
+        throw new Error(`Could not connect to MongoDB after ${MAX_CONNECT_ATTEMPTS} attempts - check MONGODB_URI`);
+      }
+
+      logger.info('Retrying MongoDB connection', { delayMs: RETRY_DELAY_MS });
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+    }
   }
 }
 
@@ -47,27 +63,27 @@ async function connectToDatabase() {
 function setupConnectionEvents() {
   // Connection successful
   mongoose.connection.on('connected', () => {
-    console.log('🎯 Mongoose connected to MongoDB');
+    logger.debug('Mongoose connected to MongoDB');
   });
   
   // Connection error
   mongoose.connection.on('error', (err) => {
-    console.error('❌ Mongoose connection error:', err);
+    logger.error('Mongoose connection error', { error: err });
   });
   
   // Connection disconnected
   mongoose.connection.on('disconnected', () => {
-    console.log('⚠️ Mongoose disconnected from MongoDB');
+    logger.warn('Mongoose disconnected from MongoDB');
   });
   
   // Handle app termination
   process.on('SIGINT', async () => {
     try {
       await mongoose.connection.close();
-      console.log('🔒 MongoDB connection closed through app termination');
+      logger.info('MongoDB connection closed through app termination');
       process.exit(0);
     } catch (error) {
-      console.error('❌ Error closing MongoDB connection:', error);
+      logger.error('Error closing MongoDB connection', { error });
       process.exit(1);
     }
   });
@@ -75,6 +91,7 @@ function setupConnectionEvents() {
 
 /**
  * Initialize database connection
+ * @throws {Error} If MongoDB can't be reached
  */
 async function initializeDatabase() {
   setupConnectionEvents();
@@ -0,0 +1,394 @@
+/**
+ * ENVIRONMENT CONFIGURATION
+ *
+ * Every setting Moodify reads from the environment, declared in one place
+ * (CONFIG_SCHEMA below) with its type, default and when it's required.
+ * Other modules read settings from `config` instead of process.env, so
+ * values are parsed and checked the same way everywhere.
+ *
+ * Features:
+ * - Types: strings, integers, booleans, URLs and fixed choices
+ * - Defaults for anything optional (empty values count as unset)
+ * - Settings that are always required, required in production, or
+ *   required because of another setting (e.g. Spotify credentials)
+ * - One readable report of every missing or invalid setting at startup
+ * - Refuses to boot with invalid settings, or in production with
+ *   insecure development defaults like the built-in session secret
+ *
+ * Security Note: values of secret settings are never printed.
+ */
+
+// The session secret used when SESSION_SECRET isn't set - fine locally, never in production
+const DEVELOPMENT_SESSION_SECRET = 'moodify-secret-key';
+
+// Shortest SESSION_SECRET accepted in production
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Decode SESSION_ENCRYPTION_KEY: 32 bytes as 64 hex characters or base64
+ */
+function decodeEncryptionKey(value) {
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, 'hex')
+    : Buffer.from(value, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('must be 32 bytes (64 hex characters or base64) - try `openssl rand -hex 32`');
+  }
+  return key;
+}
+
+/**
+ * CONFIG SCHEMA
+ *
+ * Each setting has:
+ * - type: "string", "integer", "boolean", "url" or "enum"
+ * - default: used when it isn't set (null if omitted)
+ * - required: true, "production", or a function of the other settings
+ * - requiredWhen: explains a required function in the report
+ * - insecureDefault: the default is only safe for development
+ * - secret: never print the value
+ * - description: names the setting in the report
+ * - check(value, config): returns a problem with a set value, or null
+ * - warn(value, config): returns a warning (value may be the default), or null
+ * Plus min / max for integers, values for enums, protocols for URLs and
+ * parse for strings that need decoding.
+ */
+const CONFIG_SCHEMA = {
+  NODE_ENV: {
+    type: 'enum',
+    values: ['development', 'production', 'test'],
+    default: 'development',
+    description: 'Environment mode'
+  },
+
+  PORT: {
+    type: 'integer',
+    min: 0,  // 0 = any free port
+    max: 65535,
+    default: 3555,
+    description: 'Server port'
+  },
+
+  // Logging (see utils/logger.js)
+  LOG_LEVEL: {
+    type: 'enum',
+    values: ['debug', 'info', 'warn', 'error', 'silent'],
+    default: 'info',
+    description: 'Lowest log level written'
+  },
+
+  // null = JSON in production, readable lines otherwise
+  LOG_FORMAT: {
+    type: 'enum',
+    values: ['json', 'pretty'],
+    description: 'Log output format'
+  },
+
+  // Music provider and Spotify login
+  MUSIC_PROVIDER: {
+    type: 'enum',
+    values: ['spotify', 'fixture'],
+    default: 'spotify',
+    description: 'Music provider'
+  },
+
+  SPOTIFY_CLIENT_ID: {
+    type: 'string',
+    required: config => config.MUSIC_PROVIDER === 'spotify',
+    requiredWhen: 'MUSIC_PROVIDER is spotify (or set MUSIC_PROVIDER=fixture to run offline)',
+    description: 'Spotify app client ID'
+  },
+
+  SPOTIFY_CLIENT_SECRET: {
+    type: 'string',
+    secret: true,
+    required: config => config.MUSIC_PROVIDER === 'spotify' && config.SPOTIFY_AUTH_MODE !== 'pkce',
+    requiredWhen: 'using Spotify without SPOTIFY_AUTH_MODE=pkce',
+    description: 'Spotify app client secret'
+  },
+
+  SPOTIFY_AUTH_MODE: {
+    type: 'enum',
+    values: ['confidential', 'pkce'],
+    default: 'confidential',
+    description: 'Spotify login mode'
+  },
+
+  REDIRECT_URI: {
+    type: 'url',
+    protocols: ['http:', 'https:'],
+    required: config => config.MUSIC_PROVIDER === 'spotify',
+    requiredWhen: 'MUSIC_PROVIDER is spotify',
+    warn: (value, config) => {
+      if (!value || config.NODE_ENV !== 'production') return null;
+      const url = new URL(value);
+      return url.protocol === 'http:' && !LOOPBACK_HOSTS.includes(url.hostname)
+        ? 'uses http - Spotify login codes will cross the network unencrypted, use https'
+        : null;
+    },
+    description: 'Spotify OAuth callback URL'
+  },
+
+  // Sessions
+  SESSION_SECRET: {
+    type: 'string',
+    secret: true,
+    default: DEVELOPMENT_SESSION_SECRET,
+    insecureDefault: true,
+    check: (value, config) => {
+      if (config.NODE_ENV !== 'production') return null;
+      if (value === DEVELOPMENT_SESSION_SECRET) return 'is the built-in development secret';
+      return value.length < MIN_PRODUCTION_SECRET_LENGTH
+        ? `must be at least ${MIN_PRODUCTION_SECRET_LENGTH} characters in production`
+        : null;
+    },
+    description: 'Secret signing session cookies'
+  },
+
+  SESSION_ENCRYPTION_KEY: {
+    type: 'string',
+    secret: true,
+    parse: decodeEncryptionKey,
+    warn: (value, config) => (!value && config.NODE_ENV === 'production'
+      ? 'not set - the token encryption key is derived from SESSION_SECRET'
+      : null),
+    description: 'Key encrypting stored Spotify tokens'
+  },
+
+  // Database
+  // Not a "url": replica set strings list several hosts (h1:27017,h2:27017),
+  // which URL parsing rejects - the driver checks the rest when it connects
+  MONGODB_URI: {
+    type: 'string',
+    secret: true,
+    check: value => (/^mongodb(\+srv)?:\/\/\S+$/.test(value)
+      ? null
+      : 'must start with mongodb:// or mongodb+srv://'),
+    default: 'mongodb://localhost:27017/moodify',
+    required: 'production',
+    description: 'MongoDB connection string'
+  },
+
+  // Digest emails
+  SMTP_HOST: {
+    type: 'string',
+    description: 'SMTP server for digest emails'
+  },
+
+  SMTP_PORT: {
+    type: 'integer',
+    min: 1,
+    max: 65535,
+    default: 587,
+    description: 'SMTP port'
+  },
+
+  // null = decide from the port (TLS from the start on 465)
+  SMTP_SECURE: {
+    type: 'boolean',
+    description: 'Use TLS from the start'
+  },
+
+  SMTP_USER: {
+    type: 'string',
+    description: 'SMTP login'
+  },
+
+  SMTP_PASS: {
+    type: 'string',
+    secret: true,
+    required: config => Boolean(config.SMTP_HOST && config.SMTP_USER),
+    requiredWhen: 'SMTP_USER is set',
+    description: 'SMTP password'
+  },
+
+  MAIL_FROM: {
+    type: 'string',
+    default: 'Moodify <digests@moodify.local>',
+    description: 'Sender of digest emails'
+  },
+
+  DIGEST_CHECK_MINUTES: {
+    type: 'integer',
+    min: 1,
+    default: 60,
+    description: 'Minutes between checks for due digests'
+  },
+
+  DIGESTS_ENABLED: {
+    type: 'boolean',
+    default: true,
+    description: 'Whether this server builds digests'
+  }
+};
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+/**
+ * Parse one raw environment value according to its schema entry
+ * @throws {Error} With a readable message if the value is invalid
+ */
+function parseValue(raw, spec) {
+  switch (spec.type) {
+    case 'integer': {
+      if (!/^-?\d+$/.test(raw)) throw new Error(`must be a whole number, got "${raw}"`);
+      const value = parseInt(raw, 10);
+      if (spec.min !== undefined && value < spec.min) throw new Error(`must be at least ${spec.min}, got ${value}`);
+      if (spec.max !== undefined && value > spec.max) throw new Error(`must be at most ${spec.max}, got ${value}`);
+      return value;
+    }
+
+    case 'boolean': {
+      const normalized = raw.toLowerCase();
+      if (TRUE_VALUES.includes(normalized)) return true;
+      if (FALSE_VALUES.includes(normalized)) return false;
+      throw new Error(`must be true or false, got "${raw}"`);
+    }
+
+    case 'enum': {
+      const normalized = raw.toLowerCase();
+      if (!spec.values.includes(normalized)) {
+        throw new Error(`must be one of ${spec.values.join(', ')}, got "${raw}"`);
+      }
+      return normalized;
+    }
+
+    case 'url': {
+      let url;
+      try {
+        url = new URL(raw);
+      } catch (error) {
+        throw new Error('is not a valid URL');
+      }
+      if (spec.protocols && !spec.protocols.includes(url.protocol)) {
+        throw new Error(`must start with ${spec.protocols.map(protocol => `${protocol}//`).join(' or ')}`);
+      }
+      return raw;
+    }
+
+    default:
+      return spec.parse ? spec.parse(raw) : raw;
+  }
+}
+
+/**
+ * Read, parse and check every setting
+ * @param {object} env - Where to read settings from (process.env by default)
+ * @returns {object} { config, errors, warnings } - problems are [{ name, message }]
+ */
+function loadConfig(env = process.env) {
+  const config = {};
+  const errors = [];
+  const warnings = [];
+  const isSet = {};
+
+  // Parse everything first - some rules depend on other settings
+  Object.entries(CONFIG_SCHEMA).forEach(([name, spec]) => {
+    const raw = typeof env[name] === 'string' ? env[name].trim() : '';
+    isSet[name] = raw !== '';
+    config[name] = spec.default === undefined ? null : spec.default;
+
+    if (!isSet[name]) return;
+
+    try {
+      config[name] = parseValue(raw, spec);
+    } catch (error) {
+      errors.push({ name, message: error.message });
+      isSet[name] = null;  // Set, but unusable
+    }
+  });
+
+  const production = config.NODE_ENV === 'production';
+
+  Object.entries(CONFIG_SCHEMA).forEach(([name, spec]) => {
+    if (isSet[name] === null) return;
+
+    if (!isSet[name]) {
+      if (typeof spec.required === 'function' && spec.required(config)) {
+        errors.push({ name, message: `is required when ${spec.requiredWhen}` });
+        return;
+      }
+      if (spec.required === true || (spec.required === 'production' && production)) {
+        errors.push({ name, message: `is required${spec.required === 'production' ? ' in production' : ''}` });
+        return;
+      }
+      if (spec.insecureDefault) {
+        if (production) {
+          errors.push({ name, message: 'must be set in production - the built-in default is insecure' });
+        } else {
+          warnings.push({ name, message: 'not set - using an insecure development default' });
+        }
+        return;
+      }
+    }
+
+    const problem = isSet[name] && spec.check ? spec.check(config[name], config) : null;
+    if (problem) {
+      errors.push({ name, message: problem });
+      return;
+    }
+
+    const warning = spec.warn ? spec.warn(config[name], config) : null;
+    if (warning) warnings.push({ name, message: warning });
+  });
+
+  return { config, errors, warnings };
+}
+
+/**
+ * Format problems as one report, most serious first
+ */
+function formatConfigReport({ config, errors, warnings }) {
+  const lines = [`⚙️ Configuration problems (NODE_ENV=${config.NODE_ENV}):`];
+
+  const describe = name => `${name} (${CONFIG_SCHEMA[name].description})`;
+
+  errors.forEach(({ name, message }) => lines.push(`  ❌ ${describe(name)} ${message}`));
+  warnings.forEach(({ name, message }) => lines.push(`  ⚠️ ${describe(name)} ${message}`));
+
+  if (errors.length > 0) {
+    lines.push('  Set these in your environment or .env file (see .env.example).');
+  }
+
+  return lines.join('\n');
+}
+
+// Settings for this process, read once at startup (after dotenv has loaded .env)
+const loaded = loadConfig();
+const config = Object.freeze(loaded.config);
+
+/**
+ * Print the configuration report and stop if anything is wrong
+ *
+ * Called once when the server starts. Warnings are printed but don't
+ * stop it; errors (invalid values, missing required settings, insecure
+ * defaults in production) do.
+ * @throws {Error} If there are any errors
+ */
+function checkConfig(result = loaded) {
+  if (result.errors.length === 0 && result.warnings.length === 0) {
+    console.log(`⚙️ Configuration OK (NODE_ENV=${result.config.NODE_ENV})`);
+    return;
+  }
+
+  const report = formatConfigReport(result);
+
+  if (result.errors.length > 0) {
+    console.error(report);
+    throw new Error(`Invalid configuration: ${result.errors.length} setting${result.errors.length === 1 ? '' : 's'} to fix`);
+  }
+
+  console.warn(report);
+}
+
+module.exports = {
+  config,
+  CONFIG_SCHEMA,
+  loadConfig,
+  checkConfig,
+  formatConfigReport
+};
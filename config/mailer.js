@@ -0,0 +1,74 @@
+/**
+ * EMAIL CONFIGURATION
+ *
+ * Sets up the SMTP transport used to email mood digests. Any SMTP server
+ * works - a real provider in production, or a local catcher like Mailpit
+ * or MailHog (SMTP_HOST=localhost, SMTP_PORT=1025) while developing.
+ *
+ * Email is optional: without SMTP_HOST, digests are still built and
+ * stored, they just aren't emailed.
+ *
+ * Security Note: SMTP credentials come from environment variables only.
+ */
+
+const nodemailer = require('nodemailer');
+const { config } = require('./env');
+const { logger } = require('../utils/logger');
+
+let transport = null;
+
+/**
+ * Check whether an SMTP server has been configured
+ */
+function isMailConfigured() {
+  return Boolean(config.SMTP_HOST);
+}
+
+/**
+ * Get the SMTP transport (created on first use), or null if email isn't configured
+ */
+function getMailTransport() {
+  if (!isMailConfigured()) return null;
+
+  if (!transport) {
+    const port = config.SMTP_PORT;
+
+    transport = nodemailer.createTransport({
+      host: config.SMTP_HOST,
+      port,
+      // Port 465 expects TLS from the start; others upgrade with STARTTLS if the server offers it
+      secure: config.SMTP_SECURE === null ? port === 465 : config.SMTP_SECURE,
+      auth: config.SMTP_USER
+        ? { user: config.SMTP_USER, pass: config.SMTP_PASS }
+        : undefined
+    });
+
+    logger.info('Email transport ready', { host: config.SMTP_HOST, port });
+  }
+
+  return transport;
+}
+
+/**
+ * Send an email
+ * @param {object} message - { to, subject, text, html }
+ * @returns {Promise<object>} Delivery info from the SMTP server
+ */
+async function sendMail(message) {
+  const mailTransport = getMailTransport();
+
+  if (!mailTransport) {
+    throw new Error('Email is not configured (set SMTP_HOST)');
+  }
+
+  return mailTransport.sendMail({
+    from: config.MAIL_FROM,
+    ...message
+  });
+}
+
+module.exports = {
+  isMailConfigured,
+  getMailTransport,
+  sendMail
+};
@@ -13,105 +13,424 @@
  * - Instrumentalness: How much vocals vs instrumental (0.0 = vocals, 1.0 = instrumental)
  */
 
+/**
+ * MOOD MAPPING DICTIONARY
+ *
+ * Each mood is carefully mapped to audio features that create the right vibe.
+ * Values are based on music psychology research and testing.
+ */
+const moodMap = {
+  // HAPPY: Upbeat, positive, feel-good music
+  happy: {
+    target_valence: 0.8,      // Very positive/happy sounding
+    target_energy: 0.8,       // High energy level
+    target_danceability: 0.7, // Pretty danceable
+    min_valence: 0.6,         // At least somewhat positive
+    min_energy: 0.6,          // At least somewhat energetic
+    max_valence: 1.0,         // Can be maximally happy
+    max_energy: 1.0           // Can be maximally energetic
+  },
+  // SAD: Melancholic, low-energy, emotional music
+  sad: {
+    target_valence: 0.2,      // Low positivity (sad/melancholic)
+    target_energy: 0.3,       // Low energy (calm, not intense)
+    target_danceability: 0.3, // Not very danceable
+    min_valence: 0.0,         // Can be very sad
+    min_energy: 0.0,          // Can be very low energy
+    max_valence: 0.4,         // Not too positive
+    max_energy: 0.5           // Not too energetic
+  },
+
+  // ENERGETIC: High-energy, pump-up, workout music
+  energetic: {
+    target_energy: 0.9,       // Very high energy
+    target_valence: 0.6,      // Moderately positive
+    target_danceability: 0.8, // Very danceable
+    target_tempo: 120,        // Fast tempo (120+ BPM)
+    min_energy: 0.7,          // Must be quite energetic
+    min_tempo: 100,           // Must be reasonably fast
+    max_energy: 1.0           // Can be maximum energy
+  },
+
+  // RELAXED: Calm, chill, background music
+  relaxed: {
+    target_valence: 0.5,      // Neutral mood (not sad, not overly happy)
+    target_energy: 0.3,       // Low energy (calm, peaceful)
+    target_tempo: 80,         // Slow tempo (80 BPM or less)
+    target_acousticness: 0.6, // More acoustic instruments
+    min_energy: 0.0,          // Can be very calm
+    max_energy: 0.5,          // Not too energetic
+    max_tempo: 100            // Not too fast
+  },
+
+  // FOCUSED: Concentration music, often instrumental
+  focused: {
+    target_valence: 0.4,      // Slightly neutral to positive
+    target_energy: 0.5,       // Medium energy (not distracting)
+    target_instrumentalness: 0.7, // Mostly instrumental (fewer lyrics)
+    target_acousticness: 0.4, // Some acoustic elements
+    min_speechiness: 0.0,     // Minimal spoken word
+    max_speechiness: 0.1      // Very few vocals/speech
+  },
+
+  // ROMANTIC: Love songs, intimate, emotional music
+  romantic: {
+    target_valence: 0.6,      // Positive but not overly happy
+    target_energy: 0.4,       // Lower energy (intimate, not intense)
+    target_acousticness: 0.5, // Mix of acoustic and produced
+    target_danceability: 0.5, // Moderately danceable
+    min_valence: 0.4,         // At least somewhat positive
+    max_energy: 0.6           // Not too high energy
+  }
+};
+
+/**
+ * MOOD DETAILS
+ *
+ * How each built-in mood is presented and searched for.
+ * Custom moods store the same fields in MongoDB (see models/CustomMood.js).
+ */
+const moodDetails = {
+  happy: {
+    description: 'High energy, positive vibes',
+    emoji: '😊',
+    searchQueries: ['happy music', 'feel good songs', 'upbeat playlist', 'positive vibes', 'good mood music']
+  },
+  sad: {
+    description: 'Low energy, melancholic tracks',
+    emoji: '😢',
+    searchQueries: ['sad songs', 'melancholy music', 'heartbreak playlist', 'emotional ballads', 'crying songs']
+  },
+  energetic: {
+    description: 'High energy, danceable music',
+    emoji: '⚡',
+    searchQueries: ['workout music', 'high energy songs', 'pump up playlist', 'gym music', 'energetic beats']
+  },
+  relaxed: {
+    description: 'Calm, low tempo tracks',
+    emoji: '😌',
+    searchQueries: ['chill music', 'relaxing songs', 'calm playlist', 'peaceful music', 'ambient chill']
+  },
+  focused: {
+    description: 'Instrumental, concentration music',
+    emoji: '🎯',
+    searchQueries: ['study music', 'focus playlist', 'concentration music', 'instrumental focus', 'work music']
+  },
+  romantic: {
+    description: 'Love songs and romantic ballads',
+    emoji: '💕',
+    searchQueries: ['love songs', 'romantic music', 'date night playlist', 'romantic ballads', 'love playlist']
+  }
+};
+
+/**
+ * AUDIO FEATURE RANGES
+ *
+ * The features a mood (built-in or custom) may target, with their valid range.
+ * Each can be used as target_<feature>, min_<feature> or max_<feature>.
+ */
+const featureRanges = {
+  valence: [0, 1],
+  energy: [0, 1],
+  danceability: [0, 1],
+  acousticness: [0, 1],
+  instrumentalness: [0, 1],
+  speechiness: [0, 1],
+  liveness: [0, 1],
+  tempo: [0, 250]
+};
+
+/**
+ * Normalize a mood name (lowercase, trimmed, single spaces)
+ */
+function normalizeMoodName(mood) {
+  return String(mood).toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Find a user's custom mood by name
+ * @param {array} customMoods - The user's custom moods (see CustomMood.findForUser)
+ */
+function findCustomMood(mood, customMoods = []) {
+  const normalizedMood = normalizeMoodName(mood);
+  return customMoods.find(customMood => customMood.name === normalizedMood) || null;
+}
+
+/**
+ * Check whether a mood is one of the six built-in moods
+ */
+function isBuiltInMood(mood) {
+  return Object.prototype.hasOwnProperty.call(moodMap, normalizeMoodName(mood));
+}
+
 /**
  * Maps mood strings to Spotify audio feature parameters
  * @param {string} mood - The mood to map (happy, sad, energetic, etc.)
+ * @param {array} customMoods - Optional: the user's custom moods
  * @returns {object} Spotify audio features for the given mood
  */
-function getMoodFeatures(mood) {
-  /**
-   * MOOD MAPPING DICTIONARY
-   *
-   * Each mood is carefully mapped to audio features that create the right vibe.
-   * Values are based on music psychology research and testing.
-   */
-  const moodMap = {
-    // HAPPY: Upbeat, positive, feel-good music
-    happy: {
-      target_valence: 0.8,      // Very positive/happy sounding
-      target_energy: 0.8,       // High energy level
-      target_danceability: 0.7, // Pretty danceable
-      min_valence: 0.6,         // At least somewhat positive
-      min_energy: 0.6,          // At least somewhat energetic
-      max_valence: 1.0,         // Can be maximally happy
-      max_energy: 1.0           // Can be maximally energetic
-    },
-    // SAD: Melancholic, low-energy, emotional music
-    sad: {
-      target_valence: 0.2,      // Low positivity (sad/melancholic)
-      target_energy: 0.3,       // Low energy (calm, not intense)
-      target_danceability: 0.3, // Not very danceable
-      min_valence: 0.0,         // Can be very sad
-      min_energy: 0.0,          // Can be very low energy
-      max_valence: 0.4,         // Not too positive
-      max_energy: 0.5           // Not too energetic
-    },
-
-    // ENERGETIC: High-energy, pump-up, workout music
-    energetic: {
-      target_energy: 0.9,       // Very high energy
-      target_valence: 0.6,      // Moderately positive
-      target_danceability: 0.8, // Very danceable
-      target_tempo: 120,        // Fast tempo (120+ BPM)
-      min_energy: 0.7,          // Must be quite energetic
-      min_tempo: 100,           // Must be reasonably fast
-      max_energy: 1.0           // Can be maximum energy
-    },
-
-    // RELAXED: Calm, chill, background music
-    relaxed: {
-      target_valence: 0.5,      // Neutral mood (not sad, not overly happy)
-      target_energy: 0.3,       // Low energy (calm, peaceful)
-      target_tempo: 80,         // Slow tempo (80 BPM or less)
-      target_acousticness: 0.6, // More acoustic instruments
-      min_energy: 0.0,          // Can be very calm
-      max_energy: 0.5,          // Not too energetic
-      max_tempo: 100            // Not too fast
-    },
-
-    // FOCUSED: Concentration music, often instrumental
-    focused: {
-      target_valence: 0.4,      // Slightly neutral to positive
-      target_energy: 0.5,       // Medium energy (not distracting)
-      target_instrumentalness: 0.7, // Mostly instrumental (fewer lyrics)
-      target_acousticness: 0.4, // Some acoustic elements
-      min_speechiness: 0.0,     // Minimal spoken word
-      max_speechiness: 0.1      // Very few vocals/speech
-    },
-
-    // ROMANTIC: Love songs, intimate, emotional music
-    romantic: {
-      target_valence: 0.6,      // Positive but not overly happy
-      target_energy: 0.4,       // Lower energy (intimate, not intense)
-      target_acousticness: 0.5, // Mix of acoustic and produced
-      target_danceability: 0.5, // Moderately danceable
-      min_valence: 0.4,         // At least somewhat positive
-      max_energy: 0.6           // Not too high energy
-    }
-  };
-
+function getMoodFeatures(mood, customMoods = []) {
   // Normalize the input (lowercase, remove spaces)
-  const normalizedMood = mood.toLowerCase().trim();
+  const normalizedMood = normalizeMoodName(mood);
+
+  // Built-in moods come from our mapping
+  if (isBuiltInMood(normalizedMood)) {
+    return moodMap[normalizedMood];
+  }
 
-  // Validate that the mood exists in our mapping
-  if (!moodMap[normalizedMood]) {
-    throw new Error(`Unsupported mood: ${mood}. Supported moods: ${Object.keys(moodMap).join(', ')}`);
+  // Otherwise it has to be one of the user's custom moods
+  const customMood = findCustomMood(normalizedMood, customMoods);
+  if (!customMood) {
+    throw new Error(`Unsupported mood: ${mood}. Supported moods: ${getSupportedMoods(customMoods).join(', ')}`);
   }
 
-  // Return the audio features for this mood
-  return moodMap[normalizedMood];
+  return customMood.features;
 }
 
 /**
  * Get all supported moods
+ * @param {array} customMoods - Optional: the user's custom moods to include
  * @returns {array} Array of supported mood strings
  */
-function getSupportedMoods() {
-  return ['happy', 'sad', 'energetic', 'relaxed', 'focused', 'romantic'];
+function getSupportedMoods(customMoods = []) {
+  return ['happy', 'sad', 'energetic', 'relaxed', 'focused', 'romantic', ...customMoods.map(customMood => customMood.name)];
+}
+
+/**
+ * Get everything needed to present and search for a mood
+ * @param {string} mood - Built-in or custom mood name
+ * @param {array} customMoods - Optional: the user's custom moods
+ * @returns {object|null} { name, description, emoji, searchQueries, custom } or null if unknown
+ */
+function getMoodDetails(mood, customMoods = []) {
+  const normalizedMood = normalizeMoodName(mood);
+
+  if (isBuiltInMood(normalizedMood)) {
+    return { name: normalizedMood, ...moodDetails[normalizedMood], custom: false };
+  }
+
+  const customMood = findCustomMood(normalizedMood, customMoods);
+  if (!customMood) return null;
+
+  return {
+    name: customMood.name,
+    description: customMood.description,
+    emoji: customMood.emoji,
+    searchQueries: customMood.searchQueries,
+    custom: true
+  };
+}
+
+/**
+ * MOOD BLENDING
+ *
+ * Users can ask for a weighted mix of moods, like "relaxed:0.7,focused:0.3".
+ * Weights are relative, so "relaxed:7,focused:3" means the same thing, and a
+ * mood without a weight counts as 1 ("relaxed,focused" is an even split).
+ */
+
+/**
+ * Parse a mood or weighted mood blend
+ * @param {string} moodParam - e.g. "happy" or "relaxed:0.7,focused:0.3"
+ * @returns {array} [{ mood, weight }] with weights summing to 1, heaviest first
+ */
+function parseMoodBlend(moodParam) {
+  const weights = new Map();
+
+  String(moodParam).split(',').forEach(part => {
+    if (!part.trim()) return;
+
+    const [name, weightText, ...extra] = part.split(':');
+    const mood = normalizeMoodName(name);
+    const weight = weightText === undefined ? 1 : Number(weightText);
+
+    if (!mood || extra.length > 0) {
+      throw new Error(`Invalid mood blend: "${part.trim()}". Use mood:weight pairs, e.g. relaxed:0.7,focused:0.3`);
+    }
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw new Error(`Invalid weight for ${mood}: "${weightText}". Weights must be positive numbers`);
+    }
+
+    // Repeating a mood adds to its weight
+    weights.set(mood, (weights.get(mood) || 0) + weight);
+  });
+
+  if (weights.size === 0) {
+    throw new Error('Mood parameter is required');
+  }
+
+  const totalWeight = [...weights.values()].reduce((sum, weight) => sum + weight, 0);
+
+  return [...weights.entries()]
+    .map(([mood, weight]) => ({ mood, weight: Math.round((weight / totalWeight) * 1000) / 1000 }))
+    .sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Turn parsed blend components back into a mood string
+ * A single mood is just its name, so unblended requests look the same as before.
+ */
+function formatMoodBlend(components) {
+  if (components.length === 1) return components[0].mood;
+  return components.map(({ mood, weight }) => `${mood}:${weight}`).join(',');
+}
+
+/**
+ * Interpolate the audio features of several moods into one profile
+ *
+ * - target_* values are the weighted average of the moods that set them
+ * - min_* / max_* bounds are averaged too, with moods that don't set a bound
+ *   counting as the feature's full range, so a bound only one mood cares
+ *   about is loosened in proportion to that mood's weight
+ *
+ * @param {array} components - Output of parseMoodBlend()
+ * @param {array} customMoods - Optional: the user's custom moods
+ * @returns {object} Blended audio features in the same shape as getMoodFeatures()
+ */
+function blendMoodFeatures(components, customMoods = []) {
+  const profiles = components.map(({ mood, weight }) => ({
+    weight,
+    features: getMoodFeatures(mood, customMoods)
+  }));
+
+  // Nothing to blend
+  if (profiles.length === 1) {
+    return profiles[0].features;
+  }
+
+  const round = value => Math.round(value * 1000) / 1000;
+  const blended = {};
+
+  Object.entries(featureRanges).forEach(([feature, [low, high]]) => {
+    const targetKey = `target_${feature}`;
+    const minKey = `min_${feature}`;
+    const maxKey = `max_${feature}`;
+
+    const targeting = profiles.filter(profile => typeof profile.features[targetKey] === 'number');
+    if (targeting.length > 0) {
+      const targetWeight = targeting.reduce((sum, profile) => sum + profile.weight, 0);
+      blended[targetKey] = round(
+        targeting.reduce((sum, profile) => sum + profile.weight * profile.features[targetKey], 0) / targetWeight
+      );
+    }
+
+    const min = profiles.reduce((sum, profile) => sum + profile.weight * (profile.features[minKey] ?? low), 0);
+    if (round(min) > low) {
+      blended[minKey] = round(min);
+    }
+
+    const max = profiles.reduce((sum, profile) => sum + profile.weight * (profile.features[maxKey] ?? high), 0);
+    if (round(max) < high) {
+      blended[maxKey] = round(max);
+    }
+  });
+
+  return blended;
+}
+
+/**
+ * Check a set of mood audio features (used for custom moods)
+ * @param {object} features - target_* / min_* / max_* values
+ * @returns {array} Human-readable problems (empty if valid)
+ */
+function validateMoodFeatures(features) {
+  if (!features || typeof features !== 'object' || Array.isArray(features)) {
+    return ['Features must be an object of target_*, min_* and max_* values'];
+  }
+
+  const errors = [];
+  const keys = Object.keys(features);
+
+  keys.forEach(key => {
+    const [kind, ...nameParts] = key.split('_');
+    const feature = nameParts.join('_');
+    const value = features[key];
+
+    if (!['target', 'min', 'max'].includes(kind) || !featureRanges[feature]) {
+      errors.push(`Unknown feature "${key}". Use target_, min_ or max_ with: ${Object.keys(featureRanges).join(', ')}`);
+      return;
+    }
+
+    const [low, high] = featureRanges[feature];
+    if (typeof value !== 'number' || Number.isNaN(value) || value < low || value > high) {
+      errors.push(`${key} must be a number between ${low} and ${high}`);
+    }
+  });
+
+  if (!keys.some(key => key.startsWith('target_'))) {
+    errors.push('At least one target_* feature is required');
+  }
+
+  // A minimum above its maximum would reject every track
+  Object.keys(featureRanges).forEach(feature => {
+    const min = features[`min_${feature}`];
+    const max = features[`max_${feature}`];
+    if (typeof min === 'number' && typeof max === 'number' && min > max) {
+      errors.push(`min_${feature} can't be greater than max_${feature}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * FEATURE SCALES
+ *
+ * Most audio features are already 0.0 - 1.0, but tempo is in BPM.
+ * Dividing distances by these spans puts every feature on the same scale.
+ */
+const featureSpans = {
+  tempo: 200
+};
+
+/**
+ * Score how well a track's audio features fit a mood
+ *
+ * Tracks outside any min_* / max_* bound are rejected outright.
+ * The rest are scored by how close they are to each target_* value.
+ *
+ * @param {object} trackFeatures - Spotify audio features for one track
+ * @param {object} moodFeatures - Output of getMoodFeatures()
+ * @returns {number|null} Match score from 0.0 (poor) to 1.0 (perfect), or null if out of bounds
+ */
+function scoreTrackForMood(trackFeatures, moodFeatures) {
+  let totalDistance = 0;
+  let targetCount = 0;
+
+  for (const [key, value] of Object.entries(moodFeatures)) {
+    const [kind, ...nameParts] = key.split('_');
+    const feature = nameParts.join('_');
+    const trackValue = trackFeatures[feature];
+
+    // Spotify doesn't have this feature for the track, so it can't count for or against it
+    if (typeof trackValue !== 'number') continue;
+
+    if (kind === 'min' && trackValue < value) return null;
+    if (kind === 'max' && trackValue > value) return null;
+
+    if (kind === 'target') {
+      const span = featureSpans[feature] || 1;
+      totalDistance += Math.min(Math.abs(trackValue - value) / span, 1);
+      targetCount++;
+    }
+  }
+
+  // No targets to compare against means every in-bounds track fits equally well
+  if (targetCount === 0) return 1;
+
+  return 1 - (totalDistance / targetCount);
 }
 
 // Export functions for use in other files
 module.exports = {
   getMoodFeatures,
-  getSupportedMoods
+  getSupportedMoods,
+  getMoodDetails,
+  isBuiltInMood,
+  normalizeMoodName,
+  validateMoodFeatures,
+  parseMoodBlend,
+  formatMoodBlend,
+  blendMoodFeatures,
+  scoreTrackForMood
 };
@@ -0,0 +1,202 @@
+/**
+ * MONGODB SESSION STORE
+ *
+ * An express-session store that keeps sessions in MongoDB (the Session
+ * model) over the app's existing Mongoose connection, instead of in the
+ * server's memory. Logins survive restarts, and any number of servers
+ * behind a load balancer can share them (with the same SESSION_SECRET).
+ *
+ * Features:
+ * - Sessions expire with their cookie: MongoDB's TTL monitor deletes them
+ * - Spotify access and refresh tokens are encrypted at rest
+ * - Sessions can be listed and revoked per user (see routes/account.js)
+ * - Activity is written at most once per TOUCH_INTERVAL_MS, not on every request
+ */
+
+const session = require('express-session');
+const Session = require('../models/Session');
+const { isEncrypted, encryptToken, decryptToken } = require('../utils/tokenCrypto');
+const { logger } = require('../utils/logger');
+
+// Session fields holding credentials, encrypted before they're stored
+const ENCRYPTED_FIELDS = ['access_token', 'refresh_token'];
+
+// How often an active session's expiry and last-seen time are updated
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Turn a session into the JSON we store, with its tokens encrypted
+ */
+function serializeSession(sess) {
+  const data = { ...sess };
+
+  ENCRYPTED_FIELDS.forEach(field => {
+    if (typeof data[field] === 'string' && data[field]) {
+      data[field] = encryptToken(data[field]);
+    }
+  });
+
+  return JSON.stringify(data);
+}
+
+/**
+ * Turn stored JSON back into a session, decrypting its tokens
+ * @throws {Error} If a token can't be decrypted (e.g. the key changed)
+ */
+function deserializeSession(json) {
+  const data = JSON.parse(json);
+
+  ENCRYPTED_FIELDS.forEach(field => {
+    if (isEncrypted(data[field])) {
+      data[field] = decryptToken(data[field]);
+    }
+  });
+
+  return data;
+}
+
+class MongoSessionStore extends session.Store {
+  /**
+   * @param {object} options
+   * @param {number} options.maxAge - Lifetime of sessions without a cookie expiry, in ms
+   */
+  constructor({ maxAge = 24 * 60 * 60 * 1000 } = {}) {
+    super();
+    this.maxAge = maxAge;
+  }
+
+  /**
+   * When a session should expire: with its cookie, or maxAge from now
+   */
+  getExpiry(sess) {
+    return sess?.cookie?.expires
+      ? new Date(sess.cookie.expires)
+      : new Date(Date.now() + this.maxAge);
+  }
+
+  /**
+   * Load a session, or null if it doesn't exist or has expired
+   */
+  get(sid, callback) {
+    Session.findById(sid).lean()
+      .then(doc => {
+        // The TTL monitor only runs every minute or so
+        if (!doc || doc.expires <= new Date()) return callback(null, null);
+
+        try {
+          callback(null, deserializeSession(doc.session));
+        } catch (error) {
+          // Unreadable (e.g. the encryption key changed) - treat it as logged out
+          logger.warn('Discarding unreadable session', { error: error.message });
+          callback(null, null);
+        }
+      })
+      .catch(error => callback(error));
+  }
+
+  /**
+   * Save a session, creating it if it's new
+   */
+  set(sid, sess, callback = () => {}) {
+    Session.updateOne(
+      { _id: sid },
+      {
+        $set: {
+          session: serializeSession(sess),
+          expires: this.getExpiry(sess),
+          userId: sess.user?.id || null,
+          loginAt: sess.loginAt ? new Date(sess.loginAt) : null,
+          userAgent: sess.userAgent || null,
+          lastSeenAt: new Date()
+        }
+      },
+      { upsert: true }
+    )
+      .then(() => callback(null))
+      .catch(error => callback(error));
+  }
+
+  /**
+   * Keep an unchanged session alive. Skipped if it was updated recently,
+   * so busy sessions don't cause a write on every request.
+   */
+  touch(sid, sess, callback = () => {}) {
+    const now = new Date();
+
+    Session.updateOne(
+      { _id: sid, lastSeenAt: { $lt: new Date(now.getTime() - TOUCH_INTERVAL_MS) } },
+      { $set: { expires: this.getExpiry(sess), lastSeenAt: now } }
+    )
+      .then(() => callback(null))
+      .catch(error => callback(error));
+  }
+
+  /**
+   * Delete a session (logging it out)
+   */
+  destroy(sid, callback = () => {}) {
+    Session.deleteOne({ _id: sid })
+      .then(() => callback(null))
+      .catch(error => callback(error));
+  }
+
+  /**
+   * Get every live session, keyed by session ID (like the default MemoryStore)
+   */
+  all(callback) {
+    Session.find({ expires: { $gt: new Date() } }).lean()
+      .then(docs => {
+        const sessions = {};
+        docs.forEach(doc => {
+          try {
+            sessions[doc._id] = deserializeSession(doc.session);
+          } catch (error) {
+            // Unreadable sessions can't be used, so leave them out
+          }
+        });
+        callback(null, sessions);
+      })
+      .catch(error => callback(error));
+  }
+
+  /**
+   * Count live sessions
+   */
+  length(callback) {
+    Session.countDocuments({ expires: { $gt: new Date() } })
+      .then(count => callback(null, count))
+      .catch(error => callback(error));
+  }
+
+  /**
+   * Delete every session (logging everyone out)
+   */
+  clear(callback = () => {}) {
+    Session.deleteMany({})
+      .then(() => callback(null))
+      .catch(error => callback(error));
+  }
+
+  /**
+   * Get a user's live sessions, most recently used first
+   * @returns {Promise<array>} [{ sid, loginAt, lastSeenAt, expires, userAgent }] - never the session data
+   */
+  async findUserSessions(userId) {
+    const docs = await Session.find({ userId, expires: { $gt: new Date() } })
+      .select('loginAt lastSeenAt expires userAgent createdAt')
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    return docs.map(doc => ({
+      sid: doc._id,
+      loginAt: doc.loginAt || doc.createdAt,
+      lastSeenAt: doc.lastSeenAt,
+      expires: doc.expires,
+      userAgent: doc.userAgent
+    }));
+  }
+}
+
+module.exports = {
+  MongoSessionStore
+};
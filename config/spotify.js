@@ -6,13 +6,20 @@
  *
  * Security Note: All sensitive data comes from environment variables,
  * never hardcoded values that could be exposed in version control.
+ *
+ * Login always uses the Authorization Code flow with PKCE. By default the
+ * client secret is sent as well; with SPOTIFY_AUTH_MODE=pkce it's never
+ * used, so SPOTIFY_CLIENT_SECRET doesn't need to be set at all.
  */
 
+const { config } = require('./env');
+
 const spotifyConfig = {
   // App credentials from Spotify Developer Dashboard
-  clientId: process.env.SPOTIFY_CLIENT_ID,         // Public identifier for my app
-  clientSecret: process.env.SPOTIFY_CLIENT_SECRET, // Secret key (never expose this!)
-  redirectUri: process.env.REDIRECT_URI,           // Where Spotify sends users after login
+  clientId: config.SPOTIFY_CLIENT_ID,              // Public identifier for my app
+  clientSecret: config.SPOTIFY_CLIENT_SECRET,      // Secret key (never expose this!)
+  redirectUri: config.REDIRECT_URI,                // Where Spotify sends users after login
+  authMode: config.SPOTIFY_AUTH_MODE,              // "pkce" (no client secret) or "confidential"
 
   /**
    * OAUTH SCOPES - What permissions we request from users
@@ -24,13 +31,35 @@ const spotifyConfig = {
     'user-read-private',          // Access to user's profile info
     'user-read-email',            // Access to user's email address
     'user-top-read',              // Access to user's top tracks and artists
-    'user-read-playback-state'    // Access to audio features (required for mood analysis)
+    'user-read-playback-state',   // Access to audio features (required for mood analysis)
+    'playlist-modify-private',    // Save recommendations as a private playlist
+    'playlist-modify-public'      // Save recommendations as a public playlist
   ],
 
   // Spotify OAuth endpoints
   authUrl: 'https://accounts.spotify.com/authorize',    // Where we send users to login
   tokenUrl: 'https://accounts.spotify.com/api/token',   // Where we exchange code for tokens
-  apiBaseUrl: 'https://api.spotify.com/v1'              // Base URL for all Spotify API calls
+  apiBaseUrl: 'https://api.spotify.com/v1',             // Base URL for all Spotify API calls
+
+  /**
+   * How to identify our app in token endpoint requests
+   *
+   * PKCE-only apps send just their client ID in the body; otherwise the
+   * client ID and secret go in a Basic Authorization header.
+   * @returns {object} { headers, params } to add to the request
+   */
+  clientCredentials() {
+    if (this.authMode === 'pkce') {
+      return { headers: {}, params: { client_id: this.clientId } };
+    }
+
+    return {
+      headers: {
+        'Authorization': 'Basic ' + Buffer.from(this.clientId + ':' + this.clientSecret).toString('base64')
+      },
+      params: {}
+    };
+  }
 };
 
 module.exports = spotifyConfig;
@@ -0,0 +1,203 @@
+/**
+ * AUTHENTICATION MIDDLEWARE
+ *
+ * Shared by every route that talks to Spotify on behalf of a user.
+ *
+ * Spotify access tokens only live for an hour, so instead of bouncing users
+ * back to /login we use the refresh_token saved by /callback to get a new one:
+ * - requireAuth refreshes tokens that are expired or about to expire
+ * - spotifyRequest retries a call once if Spotify still answers 401
+ * - Concurrent requests share a single refresh instead of starting their own
+ * - Every call to Spotify is timed and logged (without its tokens)
+ */
+
+const axios = require('axios');
+const querystring = require('querystring');
+const spotifyConfig = require('../config/spotify');
+const { logger } = require('../utils/logger');
+
+// Refresh tokens this long before they actually expire
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// How long a finished refresh is reused for requests that still hold the old token
+const REFRESH_REUSE_MS = 30 * 1000;
+
+// In-flight and recently finished refreshes, keyed by refresh token
+const refreshes = new Map();
+
+/**
+ * Make a request to Spotify (Web API or accounts service), logging how long it took
+ *
+ * Only the method, path and status are logged - never the query string,
+ * headers or body, which hold tokens and codes.
+ * @param {object} options - Axios request options with an absolute url
+ * @returns {Promise<object>} The axios response
+ */
+async function timedSpotifyCall(options) {
+  const startedAt = process.hrtime.bigint();
+  const method = (options.method || 'get').toUpperCase();
+  const { host, pathname } = new URL(options.url);
+  let status;
+
+  try {
+    const response = await axios(options);
+    status = response.status;
+    return response;
+  } catch (error) {
+    status = error.response?.status || error.code || 'network_error';
+    throw error;
+  } finally {
+    logger.info('Spotify call', {
+      method,
+      endpoint: `${host}${pathname}`,
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10
+    });
+  }
+}
+
+/**
+ * Exchange a refresh token for a new access token at Spotify's token endpoint
+ * @param {string} refreshToken - The refresh token saved in the session
+ * @returns {Promise<object>} Spotify's token response (access_token, expires_in, ...)
+ */
+async function requestTokenRefresh(refreshToken) {
+  const credentials = spotifyConfig.clientCredentials();
+
+  const response = await timedSpotifyCall({
+    method: 'post',
+    url: spotifyConfig.tokenUrl,
+    data: querystring.stringify({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+      ...credentials.params
+    }),
+    headers: {
+      ...credentials.headers,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    }
+  });
+
+  return response.data;
+}
+
+/**
+ * Refresh the access token stored in the session
+ *
+ * All requests holding the same refresh token wait on one shared exchange.
+ * Spotify may rotate the refresh token, so when it sends a new one we keep it.
+ */
+async function refreshSessionToken(session) {
+  const refreshToken = session.refresh_token;
+
+  let pending = refreshes.get(refreshToken);
+  if (!pending) {
+    pending = requestTokenRefresh(refreshToken);
+    refreshes.set(refreshToken, pending);
+
+    pending
+      .then(() => setTimeout(() => refreshes.delete(refreshToken), REFRESH_REUSE_MS).unref())
+      .catch(() => refreshes.delete(refreshToken));
+  }
+
+  const { access_token, refresh_token, expires_in } = await pending;
+
+  session.access_token = access_token;
+  if (refresh_token) {
+    session.refresh_token = refresh_token;
+  }
+  session.token_expires_at = Date.now() + (expires_in * 1000);
+
+  logger.info('Spotify access token refreshed');
+}
+
+/**
+ * Make sure the session holds a usable access token
+ * @returns {Promise<boolean>} Whether the user is authenticated after any refresh
+ */
+async function ensureFreshToken(req) {
+  const session = req.session;
+
+  if (!session.access_token) {
+    return false;
+  }
+
+  // Token is still comfortably valid
+  if (session.token_expires_at - REFRESH_MARGIN_MS > Date.now()) {
+    return true;
+  }
+
+  if (!session.refresh_token) {
+    return session.token_expires_at > Date.now();
+  }
+
+  try {
+    await refreshSessionToken(session);
+    return true;
+  } catch (error) {
+    logger.error('Error refreshing access token', { error });
+    return false;
+  }
+}
+
+/**
+ * AUTHENTICATION MIDDLEWARE
+ *
+ * Ensures the user is logged in with a valid Spotify access token,
+ * refreshing it first when it has expired or is about to.
+ */
+async function requireAuth(req, res, next) {
+  if (!(await ensureFreshToken(req))) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Please login with Spotify first',
+      loginUrl: '/login'
+    });
+  }
+  next();
+}
+
+/**
+ * Call the Spotify Web API with the session's access token
+ *
+ * If Spotify rejects the token with a 401 we refresh it and retry once.
+ * @param {object} req - Express request holding the session
+ * @param {object} options - Axios request options (url may be relative to apiBaseUrl)
+ * @returns {Promise<object>} The axios response
+ */
+async function spotifyRequest(req, options) {
+  const send = () => timedSpotifyCall({
+    method: 'get',
+    ...options,
+    url: options.url.startsWith('http') ? options.url : `${spotifyConfig.apiBaseUrl}${options.url}`,
+    headers: {
+      ...options.headers,
+      'Authorization': `Bearer ${req.session.access_token}`
+    }
+  });
+
+  try {
+    return await send();
+  } catch (error) {
+    if (error.response?.status !== 401 || !req.session.refresh_token) {
+      throw error;
+    }
+
+    logger.info('Spotify returned 401, refreshing token and retrying');
+    try {
+      await refreshSessionToken(req.session);
+    } catch (refreshError) {
+      // Surface the original 401 so routes still send users back to /login
+      logger.error('Error refreshing access token', { error: refreshError });
+      throw error;
+    }
+    return send();
+  }
+}
+
+module.exports = {
+  requireAuth,
+  ensureFreshToken,
+  spotifyRequest,
+  timedSpotifyCall
+};
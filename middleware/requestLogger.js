@@ -0,0 +1,57 @@
+/**
+ * REQUEST LOGGING MIDDLEWARE
+ *
+ * Gives every request a correlation ID and logs it once it's finished:
+ * - The ID comes from the caller's X-Request-Id header when it looks safe
+ *   (so a proxy's ID carries through), otherwise a new UUID
+ * - It's sent back in the X-Request-Id response header, and included in
+ *   every log entry written while the request is handled (utils/logger.js)
+ * - One "Request completed" entry per request with the method, path
+ *   (secret query parameters redacted), status, duration and user
+ *
+ * When a user reports a problem, the ID from their response header finds
+ * every log entry for that request.
+ */
+
+const crypto = require('crypto');
+const { logger, runWithContext, redactUrl } = require('../utils/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Incoming IDs are only reused if they're short and plain
+const VALID_REQUEST_ID = /^[\w.-]{8,64}$/;
+
+/**
+ * REQUEST LOGGER
+ *
+ * Mount before everything else so all requests get an ID.
+ */
+function requestLogger(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  res.on('finish', () => {
+    const status = res.statusCode;
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+
+    logger[level]('Request completed', {
+      requestId,
+      method: req.method,
+      path: redactUrl(req.originalUrl),
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+      userId: req.session?.user?.id
+    });
+  });
+
+  runWithContext({ requestId }, next);
+}
+
+module.exports = {
+  requestLogger,
+  REQUEST_ID_HEADER
+};
@@ -0,0 +1,72 @@
+/**
+ * BADGE MODEL
+ *
+ * This Mongoose model stores the achievement badges each user has earned.
+ * What the badges are and how they're earned lives in config/badges.js;
+ * this just records who earned which, and when.
+ *
+ * Features:
+ * - Each badge is earned at most once per user
+ * - Badges are kept even if the stats behind them change later
+ */
+
+const mongoose = require('mongoose');
+const { getBadgeKeys } = require('../config/badges');
+
+/**
+ * Badge Schema Definition
+ */
+const badgeSchema = new mongoose.Schema({
+  // Spotify User ID of the badge's owner
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+    trim: true
+  },
+
+  // Which badge (a key from config/badges.js)
+  key: {
+    type: String,
+    required: true,
+    enum: getBadgeKeys()
+  },
+
+  // When the user earned it
+  awardedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'badges'
+});
+
+/**
+ * STATIC METHODS
+ */
+
+// Store any of the given badges the user doesn't have yet.
+// Resolves to the keys that were newly awarded.
+badgeSchema.statics.award = async function(userId, keys) {
+  if (keys.length === 0) return [];
+
+  const result = await this.bulkWrite(keys.map(key => ({
+    updateOne: {
+      filter: { userId, key },
+      update: { $setOnInsert: { userId, key, awardedAt: new Date() } },
+      upsert: true
+    }
+  })));
+
+  // upsertedIds is keyed by the index of the operation that inserted
+  return Object.keys(result.upsertedIds || {}).map(index => keys[index]);
+};
+
+/**
+ * INDEXES
+ */
+badgeSchema.index({ userId: 1, key: 1 }, { unique: true });
+
+const Badge = mongoose.model('Badge', badgeSchema);
+
+module.exports = Badge;
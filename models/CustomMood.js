@@ -0,0 +1,108 @@
+/**
+ * CUSTOM MOOD MODEL
+ *
+ * This Mongoose model stores moods that users define for themselves,
+ * like "nostalgic" or "rainy day", alongside the six built-in moods.
+ *
+ * Features:
+ * - Each mood belongs to one Spotify user
+ * - Stores its own audio-feature targets and bounds
+ * - Stores the search terms, description and emoji used to present it
+ * - Mood names are unique per user and can't shadow built-in moods
+ */
+
+const mongoose = require('mongoose');
+const { isBuiltInMood, validateMoodFeatures } = require('../config/moodMapper');
+
+/**
+ * CustomMood Schema Definition
+ */
+const customMoodSchema = new mongoose.Schema({
+  // Spotify User ID of the mood's owner
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+    trim: true
+  },
+
+  // Mood name as used in URLs, logs and filters (e.g. "rainy day")
+  name: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 30,
+    // Letters, numbers, spaces and dashes only - commas and colons are reserved for mood blends
+    match: [/^[a-z0-9][a-z0-9 -]*$/, 'Mood names may only contain letters, numbers, spaces and dashes'],
+    validate: {
+      validator: name => !isBuiltInMood(name),
+      message: props => `"${props.value}" is a built-in mood`
+    }
+  },
+
+  // Audio features in the same shape as getMoodFeatures() (target_*, min_*, max_*)
+  features: {
+    type: Map,
+    of: Number,
+    required: true,
+    validate: {
+      validator: features => validateMoodFeatures(Object.fromEntries(features)).length === 0,
+      message: props => validateMoodFeatures(Object.fromEntries(props.value)).join('; ')
+    }
+  },
+
+  // Playlist search terms used to find candidate tracks
+  searchQueries: {
+    type: [{ type: String, trim: true, maxlength: 100 }],
+    validate: {
+      validator: queries => queries.length > 0 && queries.length <= 10,
+      message: 'Provide between 1 and 10 search queries'
+    }
+  },
+
+  // Short description shown on the mood button
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 120,
+    default: ''
+  },
+
+  // Emoji shown with the mood in insights and history
+  emoji: {
+    type: String,
+    trim: true,
+    maxlength: 8,
+    default: '🎵'
+  }
+}, {
+  timestamps: true,
+  collection: 'custommoods'
+});
+
+/**
+ * STATIC METHODS
+ */
+
+// Get all of a user's custom moods as plain objects (ready for moodMapper)
+customMoodSchema.statics.findForUser = function(userId) {
+  return this.find({ userId })
+    .sort({ name: 1 })
+    .lean()
+    .then(customMoods => customMoods.map(customMood => ({
+      ...customMood,
+      features: customMood.features instanceof Map
+        ? Object.fromEntries(customMood.features)
+        : customMood.features
+    })));
+};
+
+/**
+ * INDEXES
+ */
+customMoodSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+const CustomMood = mongoose.model('CustomMood', customMoodSchema);
+
+module.exports = CustomMood;
@@ -0,0 +1,140 @@
+/**
+ * DIGEST MODEL
+ *
+ * This Mongoose model stores the weekly and monthly mood digests built for
+ * users who opted in (see utils/digestScheduler.js). Each digest is a
+ * snapshot of one finished week or month, so it reads the same whenever
+ * the user looks back at it.
+ *
+ * Features:
+ * - Top moods for the period, and how they changed from the period before
+ * - Logging streaks as they stood when the period ended
+ * - The tracks the user opened most
+ * - Whether the digest email went out, and why not if it didn't
+ * - One digest per user per period
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Digest Schema Definition
+ */
+const digestSchema = new mongoose.Schema({
+  // Spotify User ID of the digest's owner
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+    trim: true
+  },
+
+  // Weekly or monthly digest
+  period: {
+    type: String,
+    required: true,
+    enum: ['week', 'month']
+  },
+
+  // Start of the period covered, and the start of the one after it
+  periodStart: {
+    type: Date,
+    required: true
+  },
+
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+
+  // The user's time zone when it was built, which days and periods are in
+  timezone: {
+    type: String,
+    required: true
+  },
+
+  // Moods logged in the period, and in the period before
+  totalLogs: {
+    type: Number,
+    default: 0
+  },
+
+  previousTotalLogs: {
+    type: Number,
+    default: 0
+  },
+
+  // Days in the period with at least one mood logged
+  daysLogged: {
+    type: Number,
+    default: 0
+  },
+
+  // Most logged moods, with their count in the period before
+  topMoods: [{
+    _id: false,
+    mood: { type: String, required: true },
+    count: { type: Number, default: 0 },
+    previousCount: { type: Number, default: 0 }
+  }],
+
+  // Moods logged in the previous period but not this one
+  droppedMoods: [String],
+
+  // Logging streaks at the end of the period
+  streaks: {
+    current: { type: Number, default: 0 },
+    longest: { type: Number, default: 0 }
+  },
+
+  // Recommended tracks the user opened most in the period
+  topTracks: [{
+    _id: false,
+    trackId: { type: String, required: true },
+    trackName: String,
+    artistName: String,
+    spotifyUrl: String,
+    clicks: { type: Number, default: 0 }
+  }],
+
+  // Email delivery
+  delivery: {
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed', 'skipped'],
+      default: 'pending'
+    },
+    email: String,
+    attempts: { type: Number, default: 0 },
+    sentAt: { type: Date, default: null },
+    // Why it failed or was skipped
+    error: { type: String, default: null }
+  }
+}, {
+  timestamps: true,
+  collection: 'digests'
+});
+
+/**
+ * STATIC METHODS
+ */
+
+// Get a user's digests, newest first, optionally only weekly or monthly ones
+digestSchema.statics.findForUser = function(userId, { period, limit = 12 } = {}) {
+  const filter = { userId };
+  if (period) filter.period = period;
+
+  return this.find(filter)
+    .sort({ periodStart: -1, period: 1 })
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * INDEXES
+ */
+digestSchema.index({ userId: 1, period: 1, periodStart: 1 }, { unique: true });
+digestSchema.index({ 'delivery.status': 1 });
+
+const Digest = mongoose.model('Digest', digestSchema);
+
+module.exports = Digest;
@@ -0,0 +1,104 @@
+/**
+ * GOAL MODEL
+ *
+ * This Mongoose model stores the logging goals users set themselves,
+ * like "log a mood every day this week" or "try every mood this month".
+ *
+ * Features:
+ * - Three kinds of goal: days with a log, different moods tried, and sessions logged
+ * - Each goal covers one calendar week or month
+ * - Remembers when it was completed (progress itself is worked out from
+ *   the mood logs, so it's never out of date)
+ * - One goal of each kind per period
+ */
+
+const mongoose = require('mongoose');
+
+// Kinds of goal, and what counts towards them
+const GOAL_TYPES = {
+  'log-days': 'days with a mood logged',
+  'try-moods': 'different moods tried',
+  sessions: 'moods logged'
+};
+
+/**
+ * Goal Schema Definition
+ */
+const goalSchema = new mongoose.Schema({
+  // Spotify User ID of the goal's owner
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+    trim: true
+  },
+
+  // What the goal counts (see GOAL_TYPES)
+  type: {
+    type: String,
+    required: true,
+    enum: Object.keys(GOAL_TYPES)
+  },
+
+  // The calendar period the goal covers
+  period: {
+    type: String,
+    required: true,
+    enum: ['week', 'month']
+  },
+
+  // How many it takes to complete the goal
+  target: {
+    type: Number,
+    required: true,
+    min: [1, 'Target must be at least 1'],
+    max: [500, 'Target must be at most 500'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Target must be a whole number'
+    }
+  },
+
+  // Start of the period, and the start of the one after it
+  startsAt: {
+    type: Date,
+    required: true
+  },
+
+  endsAt: {
+    type: Date,
+    required: true
+  },
+
+  // When the target was first reached
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'goals'
+});
+
+/**
+ * STATIC METHODS
+ */
+
+goalSchema.statics.GOAL_TYPES = GOAL_TYPES;
+
+// Get a user's current goals, and ones that ended in the last `days` days
+goalSchema.statics.findRecentForUser = function(userId, days = 60) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  return this.find({ userId, endsAt: { $gte: since } })
+    .sort({ startsAt: -1, type: 1 });
+};
+
+/**
+ * INDEXES
+ */
+goalSchema.index({ userId: 1, type: 1, period: 1, startsAt: 1 }, { unique: true });
+
+const Goal = mongoose.model('Goal', goalSchema);
+
+module.exports = Goal;
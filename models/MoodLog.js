@@ -13,6 +13,30 @@
  */
 
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, isValidTimeZone, getTimeFields, getRecentDays } = require('../utils/timezone');
+
+// Logs updated per round trip when backfilling time zones
+const BACKFILL_BATCH_SIZE = 500;
+
+// Journal limits
+const MAX_NOTE_LENGTH = 1000;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Clean up journal tags: accepts an array or a comma-separated string,
+ * lowercases, drops a leading "#" and removes blanks and repeats.
+ */
+function normalizeTags(tags) {
+  if (tags === undefined || tags === null) return [];
+
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  const cleaned = list
+    .map(tag => String(tag).trim().toLowerCase().replace(/^#+/, '').replace(/\s+/g, ' '))
+    .filter(Boolean);
+
+  return [...new Set(cleaned)];
+}
 
 /**
  * MoodLog Schema Definition
@@ -29,19 +53,40 @@ const moodLogSchema = new mongoose.Schema({
     trim: true
   },
   
-  // Selected mood (happy, sad, energetic, etc.)
+  // Selected mood - a built-in mood (happy, sad, energetic, etc.) or one of
+  // the user's custom moods. Routes check it against getSupportedMoods().
   mood: {
     type: String,
     required: true,
-    enum: ['happy', 'sad', 'energetic', 'relaxed', 'focused', 'romantic'],
     lowercase: true,
     trim: true
   },
   
-  // Optional: Name of the playlist or search query used
+  // Components of a blended session (e.g. 70% relaxed, 30% focused).
+  // Empty for single-mood sessions; for blends, `mood` holds the heaviest component.
+  blend: [{
+    _id: false,
+    mood: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    weight: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 1
+    }
+  }],
+  
+  // Optional: The playlist the user saved this session's recommendations to
   playlistUsed: {
-    type: String,
-    trim: true,
+    type: new mongoose.Schema({
+      id: { type: String, required: true },
+      name: { type: String, trim: true },
+      url: { type: String, default: null }
+    }, { _id: false }),
     default: null
   },
   
@@ -61,7 +106,7 @@ const moodLogSchema = new mongoose.Schema({
       default: 0
     },
     
-    // Whether the user clicked on any tracks
+    // How many different tracks the user opened in Spotify (kept in step with `engagement`)
     tracksClicked: {
       type: Number,
       default: 0
@@ -74,6 +119,68 @@ const moodLogSchema = new mongoose.Schema({
     ipAddress: String
   },
   
+  // What the user did with each recommended track: opened it in Spotify or played its preview
+  engagement: [{
+    _id: false,
+    trackId: {
+      type: String,
+      required: true
+    },
+    clicks: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    previews: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lastEngagedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Journal: why the user felt this way, in their own words
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [MAX_NOTE_LENGTH, `Notes can be at most ${MAX_NOTE_LENGTH} characters`]
+  },
+  
+  // Journal: how strong the mood was, from 1 (barely) to 10 (overwhelming)
+  intensity: {
+    type: Number,
+    min: [1, 'Intensity must be between 1 and 10'],
+    max: [10, 'Intensity must be between 1 and 10'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Intensity must be a whole number'
+    }
+  },
+  
+  // Journal: free-form context tags like "work" or "gym"
+  tags: {
+    type: [{
+      type: String,
+      maxlength: [MAX_TAG_LENGTH, `Tags can be at most ${MAX_TAG_LENGTH} characters`],
+      match: [/^[a-z0-9][a-z0-9 _-]*$/, 'Tags may only contain letters, numbers, spaces, dashes and underscores']
+    }],
+    set: normalizeTags,
+    validate: {
+      validator: tags => tags.length <= MAX_TAGS,
+      message: `Add at most ${MAX_TAGS} tags`
+    }
+  },
+  
+  // Where the log came from: picked live in the app, or brought in by a history import
+  source: {
+    type: String,
+    enum: ['app', 'import'],
+    default: 'app'
+  },
+  
   // Automatic timestamp when mood was selected
   timestamp: {
     type: Date,
@@ -93,6 +200,18 @@ const moodLogSchema = new mongoose.Schema({
     type: Number,
     min: 0,
     max: 23
+  },
+
+  // The user's IANA time zone when the mood was logged - dayOfWeek and
+  // hourOfDay are local to it. Missing on logs from before time zones were
+  // tracked, until UserSettings learns the user's zone and backfills them.
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `"${props.value}" is not a known time zone`
+    }
   }
 }, {
   // Add automatic createdAt and updatedAt timestamps
@@ -105,13 +224,11 @@ const moodLogSchema = new mongoose.Schema({
 /**
  * PRE-SAVE MIDDLEWARE
  *
- * Automatically calculate day of week and hour before saving
+ * Automatically calculate day of week and hour (in the log's time zone) before saving
  */
 moodLogSchema.pre('save', function(next) {
   if (this.isNew) {
-    const date = this.timestamp || new Date();
-    this.dayOfWeek = date.getDay();
-    this.hourOfDay = date.getHours();
+    Object.assign(this, this.constructor.getTimeFields(this.timestamp || new Date(), this.timezone));
   }
   next();
 });
@@ -124,7 +241,10 @@ moodLogSchema.pre('save', function(next) {
 moodLogSchema.methods.getDescription = function() {
   const date = this.timestamp.toLocaleDateString();
   const time = this.timestamp.toLocaleTimeString();
-  return `${this.mood} mood on ${date} at ${time}`;
+  const mood = this.blend.length > 0
+    ? this.blend.map(component => `${Math.round(component.weight * 100)}% ${component.mood}`).join(' + ')
+    : this.mood;
+  return `${mood} mood on ${date} at ${time}`;
 };
 
 // Check if this log is from today
@@ -138,6 +258,175 @@ moodLogSchema.methods.isToday = function() {
  * STATIC METHODS
  */
 
+/**
+ * Aggregation stages that split each log into the moods it counts toward.
+ *
+ * A single-mood log counts fully toward its mood. A blended log counts
+ * toward each component with that component's weight, so a 70/30 blend
+ * adds 0.7 to one mood's weight and 0.3 to the other's.
+ */
+const moodComponentStages = [
+  {
+    $addFields: {
+      moodComponents: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$blend', []] } }, 0] },
+          '$blend',
+          [{ mood: '$mood', weight: 1 }]
+        ]
+      }
+    }
+  },
+  { $unwind: '$moodComponents' }
+];
+
+// Build a query matching logs for a mood (or any of an array of moods),
+// whether it was picked alone or as part of a blend
+moodLogSchema.statics.moodFilter = function(moods) {
+  const list = [].concat(moods);
+  return { $or: [{ mood: { $in: list } }, { 'blend.mood': { $in: list } }] };
+};
+
+// Day of week and hour of day for a timestamp in a time zone (the server's if
+// not given). Used by the pre-save hook, and by imports, which insert many logs
+// at once and so skip save middleware.
+moodLogSchema.statics.getTimeFields = function(date, timezone = DEFAULT_TIMEZONE) {
+  return getTimeFields(date, timezone || DEFAULT_TIMEZONE);
+};
+
+// Give logs saved before the user's time zone was known that time zone, and
+// recompute their dayOfWeek and hourOfDay in it. Logs that already have a
+// time zone keep it. Resolves to the number of logs updated.
+moodLogSchema.statics.backfillTimezone = async function(userId, timezone) {
+  const cursor = this.find({ userId, timezone: { $exists: false } })
+    .select('timestamp')
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await this.bulkWrite(batch, { ordered: false });
+    updated += result.modifiedCount;
+    batch = [];
+  };
+
+  for await (const log of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: log._id },
+        update: { $set: { timezone, ...getTimeFields(log.timestamp, timezone) } }
+      }
+    });
+    if (batch.length >= BACKFILL_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return updated;
+};
+
+// Count a user's logs by day of week (0 = Sunday) and by hour of day, in the
+// given time zone. Worked out from the timestamps rather than the stored
+// fields, so it follows the user if they move.
+moodLogSchema.statics.getTimeOfDayStats = async function(userId, timezone = DEFAULT_TIMEZONE) {
+  const [stats] = await this.aggregate([
+    { $match: { userId } },
+    {
+      $facet: {
+        dayOfWeek: [
+          { $group: { _id: { $subtract: [{ $dayOfWeek: { date: '$timestamp', timezone } }, 1] }, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ],
+        hourOfDay: [
+          { $group: { _id: { $hour: { date: '$timestamp', timezone } }, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  return stats || { dayOfWeek: [], hourOfDay: [] };
+};
+
+// Count a user's logs for each day of week (0 = Sunday) and hour of day
+// together, in the given time zone, optionally only those since a date
+// (for the day x hour heatmap)
+moodLogSchema.statics.getDayHourStats = function(userId, timezone = DEFAULT_TIMEZONE, { since } = {}) {
+  const match = { userId };
+  if (since) match.timestamp = { $gte: since };
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          day: { $subtract: [{ $dayOfWeek: { date: '$timestamp', timezone } }, 1] },
+          hour: { $hour: { date: '$timestamp', timezone } }
+        },
+        count: { $sum: 1 }
+      }
+    },
+    { $project: { _id: 0, day: '$_id.day', hour: '$_id.hour', count: 1 } },
+    { $sort: { day: 1, hour: 1 } }
+  ]);
+};
+
+/**
+ * Record a click or preview play on one of a log's recommended tracks.
+ *
+ * Done with atomic updates so quick repeated clicks can't lose counts, and
+ * sessionData.tracksClicked goes up only the first time a track is clicked.
+ * Resolves to the updated log, or null if the log isn't the user's or the
+ * track wasn't recommended in it.
+ */
+moodLogSchema.statics.recordEngagement = async function(logId, userId, trackId, type) {
+  const counter = type === 'click' ? 'clicks' : 'previews';
+  const now = new Date();
+  const logFilter = { _id: logId, userId, 'recommendedTracks.trackId': trackId };
+  const options = { new: true };
+
+  // First click on a track that was previewed before
+  if (type === 'click') {
+    const log = await this.findOneAndUpdate(
+      { ...logFilter, engagement: { $elemMatch: { trackId, clicks: 0 } } },
+      {
+        $inc: { 'engagement.$.clicks': 1, 'sessionData.tracksClicked': 1 },
+        $set: { 'engagement.$.lastEngagedAt': now }
+      },
+      options
+    );
+    if (log) return log;
+  }
+
+  // Track already has engagement
+  const existing = await this.findOneAndUpdate(
+    { ...logFilter, 'engagement.trackId': trackId },
+    {
+      $inc: { [`engagement.$.${counter}`]: 1 },
+      $set: { 'engagement.$.lastEngagedAt': now }
+    },
+    options
+  );
+  if (existing) return existing;
+
+  // First engagement with this track (the $ne guard stops a concurrent request adding it twice)
+  const added = await this.findOneAndUpdate(
+    { ...logFilter, 'engagement.trackId': { $ne: trackId } },
+    {
+      $push: { engagement: { trackId, clicks: 0, previews: 0, [counter]: 1, lastEngagedAt: now } },
+      ...(type === 'click' ? { $inc: { 'sessionData.tracksClicked': 1 } } : {})
+    },
+    options
+  );
+  if (added) return added;
+
+  // Lost a race with another request adding the same track - count it on the existing entry
+  const alreadyAdded = await this.exists({ ...logFilter, 'engagement.trackId': trackId });
+  return alreadyAdded ? this.recordEngagement(logId, userId, trackId, type) : null;
+};
+
 // Get mood history for a specific user
 moodLogSchema.statics.getUserHistory = function(userId, limit = 50) {
   return this.find({ userId })
@@ -147,52 +436,234 @@ moodLogSchema.statics.getUserHistory = function(userId, limit = 50) {
 };
 
 // Get mood statistics for a user
-moodLogSchema.statics.getUserStats = function(userId) {
+// count = sessions that included the mood, weight = its share across those sessions
+// Optionally limited to logs with all of the given journal tags, or logged
+// from `from` up to (not including) `to`.
+// averageIntensity only counts logs where the user rated their intensity.
+moodLogSchema.statics.getUserStats = function(userId, { tags = [], from, to } = {}) {
+  const match = { userId };
+  if (tags.length > 0) {
+    match.tags = { $all: normalizeTags(tags) };
+  }
+  if (from || to) {
+    match.timestamp = {};
+    if (from) match.timestamp.$gte = from;
+    if (to) match.timestamp.$lt = to;
+  }
+
   return this.aggregate([
-    { $match: { userId } },
+    { $match: match },
+    ...moodComponentStages,
+    {
+      $group: {
+        _id: '$moodComponents.mood',
+        count: { $sum: 1 },
+        weight: { $sum: '$moodComponents.weight' },
+        lastUsed: { $max: '$timestamp' },
+        averageIntensity: { $avg: '$intensity' }
+      }
+    },
+    { $addFields: { averageIntensity: { $round: ['$averageIntensity', 1] } } },
+    { $sort: { weight: -1, count: -1 } }
+  ]);
+};
+
+// Get the recommended tracks a user opened in Spotify most, logged from
+// `from` up to (not including) `to`
+moodLogSchema.statics.getMostClickedTracks = function(userId, { from, to, limit = 5 } = {}) {
+  return this.aggregate([
+    { $match: { userId, timestamp: { $gte: from, $lt: to }, 'engagement.clicks': { $gt: 0 } } },
+    { $unwind: '$engagement' },
+    { $match: { 'engagement.clicks': { $gt: 0 } } },
+    {
+      // The track's details, from the recommendations it was clicked in
+      $addFields: {
+        track: {
+          $arrayElemAt: [{
+            $filter: {
+              input: '$recommendedTracks',
+              cond: { $eq: ['$$this.trackId', '$engagement.trackId'] }
+            }
+          }, 0]
+        }
+      }
+    },
     {
       $group: {
-        _id: '$mood',
+        _id: '$engagement.trackId',
+        clicks: { $sum: '$engagement.clicks' },
+        trackName: { $last: '$track.trackName' },
+        artistName: { $last: '$track.artistName' },
+        spotifyUrl: { $last: '$track.spotifyUrl' }
+      }
+    },
+    { $sort: { clicks: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, trackId: '$_id', clicks: 1, trackName: 1, artistName: 1, spotifyUrl: 1 } }
+  ]);
+};
+
+// Clean up journal tags the same way the schema does (for query filters)
+moodLogSchema.statics.normalizeTags = normalizeTags;
+
+// Get how often each journal tag is used, with the average intensity of those logs
+moodLogSchema.statics.getTagStats = function(userId, limit = 20) {
+  return this.aggregate([
+    { $match: { userId, 'tags.0': { $exists: true } } },
+    { $unwind: '$tags' },
+    {
+      $group: {
+        _id: '$tags',
         count: { $sum: 1 },
-        lastUsed: { $max: '$timestamp' }
+        averageIntensity: { $avg: '$intensity' },
+        moods: { $addToSet: '$mood' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        tag: '$_id',
+        count: 1,
+        averageIntensity: { $round: ['$averageIntensity', 1] },
+        moods: 1
       }
     },
-    { $sort: { count: -1 } }
+    { $sort: { count: -1, tag: 1 } },
+    { $limit: limit }
   ]);
 };
 
-// Get mood trends over time for a user
-moodLogSchema.statics.getUserTrends = function(userId, days = 30) {
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days);
+// Get the time-related fields of a user's recent logs, newest first,
+// for predicting what mood they'll want at a given time
+moodLogSchema.statics.getTimePatterns = function(userId, { days = 365, limit = 2000 } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  return this.find({ userId, timestamp: { $gte: since } })
+    .select('mood blend timestamp dayOfWeek hourOfDay')
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// Get a user's recent logs in the order they were made, oldest first,
+// for analyzing which moods follow which
+moodLogSchema.statics.getMoodSequence = async function(userId, { days = 180, limit = 2000 } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  // Newest first so the limit keeps the most recent logs, then back in order
+  const logs = await this.find({ userId, timestamp: { $gte: since } })
+    .select('mood timestamp')
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .lean();
+
+  return logs.reverse();
+};
+
+// Get every day the user logged a mood, as "YYYY-MM-DD" strings in the
+// given time zone, oldest first (for streaks and daily goals)
+moodLogSchema.statics.getLoggedDays = async function(userId, timezone) {
+  const days = await this.aggregate([
+    { $match: { userId } },
+    { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone } } } },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return days.map(day => day._id);
+};
+
+// Get the different moods a user has logged (including blend components),
+// optionally only between two dates
+moodLogSchema.statics.getMoodsTried = async function(userId, { from, to } = {}) {
+  const filter = { userId };
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = from;
+    if (to) filter.timestamp.$lt = to;
+  }
+
+  const [moods, blendMoods] = await Promise.all([
+    this.distinct('mood', filter),
+    this.distinct('blend.mood', filter)
+  ]);
+
+  return [...new Set([...moods, ...blendMoods])].sort();
+};
+
+// Get mood trends over time for a user: the last `days` days up to today,
+// with days in their time zone
+moodLogSchema.statics.getUserTrends = function(userId, days = 30, timezone = DEFAULT_TIMEZONE) {
+  const { since } = getRecentDays(days, timezone);
   
   return this.aggregate([
     { 
       $match: { 
         userId,
-        timestamp: { $gte: startDate }
+        timestamp: { $gte: since }
       }
     },
+    ...moodComponentStages,
     {
       $group: {
         _id: {
-          date: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
-          mood: '$mood'
+          date: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone } },
+          mood: '$moodComponents.mood'
         },
-        count: { $sum: 1 }
+        count: { $sum: 1 },
+        weight: { $sum: '$moodComponents.weight' }
       }
     },
     { $sort: { '_id.date': 1 } }
   ]);
 };
 
+// Get click-through rate per mood: the share of recommended tracks the user opened.
+// Blended logs count toward each component by weight, like getUserStats.
+moodLogSchema.statics.getClickThroughRates = function(userId) {
+  return this.aggregate([
+    { $match: { userId } },
+    ...moodComponentStages,
+    {
+      $group: {
+        _id: '$moodComponents.mood',
+        sessions: { $sum: 1 },
+        sessionsWithClicks: { $sum: { $cond: [{ $gt: ['$sessionData.tracksClicked', 0] }, 1, 0] } },
+        tracksRecommended: { $sum: { $multiply: ['$sessionData.trackCount', '$moodComponents.weight'] } },
+        tracksClicked: { $sum: { $multiply: ['$sessionData.tracksClicked', '$moodComponents.weight'] } },
+        previews: { $sum: { $multiply: [{ $sum: '$engagement.previews' }, '$moodComponents.weight'] } }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        mood: '$_id',
+        sessions: 1,
+        sessionsWithClicks: 1,
+        tracksRecommended: { $round: ['$tracksRecommended', 1] },
+        tracksClicked: { $round: ['$tracksClicked', 1] },
+        previews: { $round: ['$previews', 1] },
+        clickThroughRate: {
+          $cond: [
+            { $gt: ['$tracksRecommended', 0] },
+            { $round: [{ $divide: ['$tracksClicked', '$tracksRecommended'] }, 3] },
+            0
+          ]
+        }
+      }
+    },
+    { $sort: { clickThroughRate: -1, sessions: -1 } }
+  ]);
+};
+
 /**
  * INDEXES
  *
  * Create compound indexes for common query patterns
  */
-moodLogSchema.index({ userId: 1, timestamp: -1 });
+moodLogSchema.index({ userId: 1, timestamp: -1, _id: -1 }); // History pages (see the history cursor)
 moodLogSchema.index({ userId: 1, mood: 1 });
+moodLogSchema.index({ userId: 1, 'blend.mood': 1 });
+moodLogSchema.index({ userId: 1, tags: 1 });
 moodLogSchema.index({ timestamp: -1 });
 
 // Create and export the model
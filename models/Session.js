@@ -0,0 +1,75 @@
+/**
+ * SESSION MODEL
+ *
+ * This Mongoose model stores express-session sessions, so logins survive
+ * server restarts and work across several servers (see
+ * config/sessionStore.js, which reads and writes them).
+ *
+ * Features:
+ * - One document per session, keyed by the session ID
+ * - Expired sessions are removed by MongoDB itself (TTL index on `expires`)
+ * - Spotify tokens inside the session are encrypted (see utils/tokenCrypto.js)
+ * - Who the session belongs to and which device it's on, for listing and
+ *   revoking a user's sessions
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema Definition
+ */
+const sessionSchema = new mongoose.Schema({
+  // The session ID from the session cookie (instead of an ObjectId)
+  _id: {
+    type: String,
+    required: true
+  },
+
+  // The session data as JSON, with tokens encrypted
+  session: {
+    type: String,
+    required: true
+  },
+
+  // When the session runs out - MongoDB deletes it after this
+  expires: {
+    type: Date,
+    required: true
+  },
+
+  // Spotify User ID, once the user has logged in
+  userId: {
+    type: String,
+    default: null
+  },
+
+  // When they logged in, and from which browser
+  loginAt: {
+    type: Date,
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  // Last request made with this session (updated at most every few minutes)
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'sessions'
+});
+
+/**
+ * INDEXES
+ */
+sessionSchema.index({ expires: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ userId: 1, lastSeenAt: -1 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
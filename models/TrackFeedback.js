@@ -0,0 +1,134 @@
+/**
+ * TRACK FEEDBACK MODEL
+ *
+ * This Mongoose model stores thumbs-up / thumbs-down feedback on
+ * recommended tracks, so future recommendations can learn from it.
+ *
+ * Features:
+ * - One rating per user, track and mood (a track can fit one mood but not another)
+ * - Keeps the track's name and artists so liked artists can be boosted
+ *   and stats can show favourites without asking Spotify again
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * TrackFeedback Schema Definition
+ */
+const trackFeedbackSchema = new mongoose.Schema({
+  // Spotify User ID of the person giving feedback
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+    trim: true
+  },
+
+  // Spotify track ID
+  trackId: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[A-Za-z0-9]+$/, 'Invalid track ID']
+  },
+
+  // The mood the track was recommended for (blends are filed under their heaviest mood)
+  mood: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+
+  // Thumbs up or thumbs down
+  rating: {
+    type: String,
+    required: true,
+    enum: ['like', 'dislike']
+  },
+
+  // Track details at the time of the feedback
+  trackName: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+
+  artists: [{
+    type: String,
+    trim: true,
+    maxlength: 200
+  }]
+}, {
+  timestamps: true,
+  collection: 'trackfeedback'
+});
+
+/**
+ * STATIC METHODS
+ */
+
+// Get a user's feedback for one or more moods, ready for ranking recommendations
+trackFeedbackSchema.statics.getPreferences = async function(userId, moods) {
+  const feedback = await this.find({ userId, mood: { $in: moods } }).lean();
+
+  const likedTrackIds = new Set();
+  const dislikedTrackIds = new Set();
+  const likedArtists = new Set();
+
+  feedback.forEach(entry => {
+    if (entry.rating === 'like') {
+      likedTrackIds.add(entry.trackId);
+      (entry.artists || []).forEach(artist => likedArtists.add(artist.toLowerCase()));
+    } else {
+      dislikedTrackIds.add(entry.trackId);
+    }
+  });
+
+  // A track liked for one mood in a blend and disliked for another stays in
+  dislikedTrackIds.forEach(trackId => {
+    if (likedTrackIds.has(trackId)) dislikedTrackIds.delete(trackId);
+  });
+
+  return { likedTrackIds, dislikedTrackIds, likedArtists };
+};
+
+// Get each mood's most recently liked tracks
+trackFeedbackSchema.statics.getLikedTracksByMood = function(userId, limitPerMood = 5) {
+  return this.aggregate([
+    { $match: { userId, rating: 'like' } },
+    { $sort: { updatedAt: -1 } },
+    {
+      $group: {
+        _id: '$mood',
+        likeCount: { $sum: 1 },
+        tracks: {
+          $push: {
+            trackId: '$trackId',
+            trackName: '$trackName',
+            artists: '$artists',
+            likedAt: '$updatedAt'
+          }
+        }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        mood: '$_id',
+        likeCount: 1,
+        tracks: { $slice: ['$tracks', limitPerMood] }
+      }
+    },
+    { $sort: { likeCount: -1, mood: 1 } }
+  ]);
+};
+
+/**
+ * INDEXES
+ */
+trackFeedbackSchema.index({ userId: 1, mood: 1, trackId: 1 }, { unique: true });
+
+const TrackFeedback = mongoose.model('TrackFeedback', trackFeedbackSchema);
+
+module.exports = TrackFeedback;
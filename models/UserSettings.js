@@ -0,0 +1,114 @@
+/**
+ * USER SETTINGS MODEL
+ *
+ * This Mongoose model stores per-user preferences that aren't tied to any
+ * one mood log. Moodify has no account records of its own (users are
+ * identified by their Spotify ID), so this is the place for them.
+ *
+ * Features:
+ * - One settings document per user
+ * - The user's IANA time zone, reported by their browser, which mood
+ *   analytics use for days and hours
+ * - Whether they get weekly and/or monthly digest emails, and where to
+ */
+
+const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/timezone');
+
+// How often a user can get digests, and which digest periods each includes
+const DIGEST_FREQUENCIES = {
+  off: [],
+  weekly: ['week'],
+  monthly: ['month'],
+  both: ['week', 'month']
+};
+
+// Loose check - the SMTP server has the final say
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * UserSettings Schema Definition
+ */
+const userSettingsSchema = new mongoose.Schema({
+  // Spotify User ID
+  userId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  // IANA time zone, e.g. "Asia/Tokyo"
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `"${props.value}" is not a known time zone`
+    }
+  },
+
+  // Mood digest reports (see utils/digests.js)
+  digest: {
+    // Which digests to build: off, weekly, monthly or both
+    frequency: {
+      type: String,
+      enum: Object.keys(DIGEST_FREQUENCIES),
+      default: 'off'
+    },
+
+    // Where to email them - defaults to the email on the user's Spotify account
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [254, 'Email address is too long'],
+      match: [EMAIL_PATTERN, 'Email address is not valid']
+    },
+
+    // When the user last opted in - only periods ending after this get a digest
+    subscribedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true,
+  collection: 'usersettings'
+});
+
+/**
+ * STATIC METHODS
+ */
+
+userSettingsSchema.statics.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
+
+// Get the time zone the user's browser reported, or null if it hasn't yet
+userSettingsSchema.statics.findTimezone = async function(userId) {
+  const settings = await this.findOne({ userId }).select('timezone').lean();
+  return settings?.timezone || null;
+};
+
+// Get a user's time zone, or the server's if their browser hasn't reported one yet
+userSettingsSchema.statics.getTimezone = async function(userId) {
+  return (await this.findTimezone(userId)) || DEFAULT_TIMEZONE;
+};
+
+// Get everyone who wants a digest for a period ("week" or "month")
+userSettingsSchema.statics.findDigestSubscribers = function(period) {
+  const frequencies = Object.keys(DIGEST_FREQUENCIES)
+    .filter(frequency => DIGEST_FREQUENCIES[frequency].includes(period));
+
+  return this.find({ 'digest.frequency': { $in: frequencies } })
+    .select('userId timezone digest')
+    .lean();
+};
+
+/**
+ * INDEXES
+ */
+userSettingsSchema.index({ 'digest.frequency': 1 });
+
+const UserSettings = mongoose.model('UserSettings', userSettingsSchema);
+
+module.exports = UserSettings;
@@ -0,0 +1,165 @@
+/**
+ * FIXTURE MUSIC PROVIDER
+ *
+ * An offline implementation of the music provider interface.
+ * It serves a small local catalog (fixtures/catalog.json) with playlists
+ * and audio features for every built-in mood, so the whole app - including
+ * recommendations and mood logging - runs without reaching Spotify.
+ *
+ * Select it with MUSIC_PROVIDER=fixture.
+ */
+
+const catalog = require('./fixtures/catalog.json');
+
+// Words too generic to tell one mood playlist from another
+const SEARCH_STOP_WORDS = new Set(['music', 'songs', 'song', 'playlist', 'mix', 'the', 'and']);
+
+const tracksById = new Map(catalog.tracks.map(track => [track.id, track]));
+
+// Playlists "saved" while offline only live in memory until the server restarts
+const savedPlaylists = new Map();
+
+/**
+ * Split text into lowercase search words, ignoring generic ones
+ */
+function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !SEARCH_STOP_WORDS.has(word));
+}
+
+/**
+ * Catalog artists don't have IDs, so make one from the name
+ */
+function artistId(name) {
+  return `fx-artist-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+}
+
+/**
+ * Convert a catalog track to the shape our routes and frontend use
+ */
+function formatTrack(track) {
+  return {
+    id: track.id,
+    name: track.name,
+    artists: track.artists,
+    album: track.album,
+    preview_url: track.preview_url,
+    external_urls: track.external_urls,
+    duration_ms: track.duration_ms,
+    popularity: track.popularity
+  };
+}
+
+/**
+ * Create a fixture provider (the request is unused but keeps the interface the same)
+ */
+function createFixtureProvider() {
+  return {
+    name: 'fixture',
+
+    // There's no OAuth server offline, so /login signs users straight in
+    usesOAuth: false,
+
+    async getProfile() {
+      return { ...catalog.profile };
+    },
+
+    /**
+     * Find catalog playlists sharing words with the query, best match first
+     */
+    async searchPlaylists(query, { limit = 10 } = {}) {
+      const queryWords = tokenize(query);
+
+      return catalog.playlists
+        .map(playlist => {
+          const playlistWords = new Set(tokenize(`${playlist.name} ${playlist.description}`));
+          return {
+            playlist,
+            matches: queryWords.filter(word => playlistWords.has(word)).length
+          };
+        })
+        .filter(result => result.matches > 0)
+        .sort((a, b) => b.matches - a.matches)
+        .slice(0, limit)
+        .map(({ playlist }) => ({
+          id: playlist.id,
+          name: playlist.name,
+          description: playlist.description,
+          owner: playlist.owner
+        }));
+    },
+
+    async getPlaylistTracks(playlistId, { limit = 50 } = {}) {
+      const playlist = catalog.playlists.find(p => p.id === playlistId);
+      if (!playlist) {
+        throw new Error(`Fixture playlist not found: ${playlistId}`);
+      }
+
+      return playlist.trackIds
+        .slice(0, limit)
+        .map(id => tracksById.get(id))
+        .filter(Boolean)
+        .map(formatTrack);
+    },
+
+    async getAudioFeatures(trackIds) {
+      const featuresById = new Map();
+
+      trackIds.forEach(id => {
+        const track = tracksById.get(id);
+        if (track) {
+          featuresById.set(id, track.audio_features);
+        }
+      });
+
+      return featuresById;
+    },
+
+    async getTopTracks({ limit = 50 } = {}) {
+      return catalog.top.trackIds
+        .slice(0, limit)
+        .map(id => tracksById.get(id))
+        .filter(Boolean)
+        .map(formatTrack);
+    },
+
+    async getTopArtists({ limit = 10 } = {}) {
+      return catalog.top.artists
+        .slice(0, limit)
+        .map(name => ({ id: artistId(name), name }));
+    },
+
+    async getArtistTopTracks(id) {
+      return catalog.tracks
+        .filter(track => track.artists.some(name => artistId(name) === id))
+        .sort((a, b) => b.popularity - a.popularity)
+        .slice(0, 10)
+        .map(formatTrack);
+    },
+
+    async createPlaylist(name, { description = '' } = {}) {
+      const id = `fx-saved-${savedPlaylists.size + 1}`;
+      savedPlaylists.set(id, { id, name, description, trackIds: [] });
+
+      // There's nowhere to open an offline playlist
+      return { id, name, url: null };
+    },
+
+    async addTracksToPlaylist(playlistId, trackIds) {
+      const playlist = savedPlaylists.get(playlistId);
+      if (!playlist) {
+        throw new Error(`Fixture playlist not found: ${playlistId}`);
+      }
+
+      playlist.trackIds.push(...trackIds.filter(id => tracksById.has(id)));
+    },
+
+    async getGenres() {
+      return [...catalog.genres];
+    }
+  };
+}
+
+module.exports = createFixtureProvider;
@@ -0,0 +1,56 @@
+/**
+ * MUSIC PROVIDERS
+ *
+ * Routes never talk to a music service directly. They ask for a provider,
+ * which implements the same interface no matter where the music comes from:
+ *
+ * - getProfile()                        - The logged-in user's profile
+ * - searchPlaylists(query, options)     - Playlists matching a search query
+ * - getPlaylistTracks(id, options)      - Tracks in a playlist
+ * - getAudioFeatures(trackIds)          - Map of track ID -> audio features
+ * - getTopTracks(options)               - The user's most-played tracks
+ * - getTopArtists(options)              - The user's most-played artists
+ * - getArtistTopTracks(artistId)        - An artist's most popular tracks
+ * - createPlaylist(name, options)       - Create a playlist for the user
+ * - addTracksToPlaylist(id, trackIds)   - Add tracks to one of the user's playlists
+ * - getGenres()                         - Genre names the catalog knows
+ *
+ * Choose the implementation with the MUSIC_PROVIDER environment variable:
+ * - spotify (default) - The Spotify Web API
+ * - fixture           - A local catalog that works with no network
+ */
+
+const { config } = require('../config/env');
+const createSpotifyProvider = require('./spotifyProvider');
+const createFixtureProvider = require('./fixtureProvider');
+
+const providerFactories = {
+  spotify: createSpotifyProvider,
+  fixture: createFixtureProvider
+};
+
+/**
+ * Name of the provider selected by MUSIC_PROVIDER
+ */
+function getProviderName() {
+  const name = config.MUSIC_PROVIDER;
+
+  if (!providerFactories[name]) {
+    throw new Error(`Unsupported music provider: ${name}. Supported providers: ${Object.keys(providerFactories).join(', ')}`);
+  }
+
+  return name;
+}
+
+/**
+ * Get the configured music provider for a request
+ * @param {object} req - Express request (providers use its session for tokens)
+ */
+function getMusicProvider(req) {
+  return providerFactories[getProviderName()](req);
+}
+
+module.exports = {
+  getMusicProvider,
+  getProviderName
+};
@@ -0,0 +1,191 @@
+/**
+ * SPOTIFY MUSIC PROVIDER
+ *
+ * The real implementation of the music provider interface, backed by the
+ * Spotify Web API. Every call goes through spotifyRequest() so expired
+ * tokens are refreshed and a 401 is retried once.
+ */
+
+const { spotifyRequest } = require('../middleware/auth');
+
+// Spotify accepts at most 100 track IDs per audio-features request
+const AUDIO_FEATURES_BATCH_SIZE = 100;
+
+// ...and at most 100 tracks per add-to-playlist request
+const PLAYLIST_ADD_BATCH_SIZE = 100;
+
+/**
+ * Convert a Spotify track object to the shape our routes and frontend use
+ */
+function formatTrack(track) {
+  return {
+    id: track.id,
+    name: track.name,
+    artists: track.artists.map(artist => artist.name),
+    album: track.album.name,
+    preview_url: track.preview_url,
+    external_urls: track.external_urls,
+    duration_ms: track.duration_ms,
+    popularity: track.popularity
+  };
+}
+
+/**
+ * Create a Spotify provider bound to the current request's session
+ * @param {object} req - Express request holding the user's Spotify tokens
+ */
+function createSpotifyProvider(req) {
+  return {
+    name: 'spotify',
+
+    // Users log in through Spotify's OAuth flow
+    usesOAuth: true,
+
+    /**
+     * Get the logged-in user's Spotify profile
+     */
+    async getProfile() {
+      const response = await spotifyRequest(req, { url: '/me' });
+      return response.data;
+    },
+
+    /**
+     * Search public playlists
+     * @returns {Promise<array>} Playlists with id, name and owner
+     */
+    async searchPlaylists(query, { limit = 10 } = {}) {
+      const response = await spotifyRequest(req, {
+        url: '/search',
+        params: {
+          q: query,
+          type: 'playlist',
+          limit,
+          market: 'US'
+        }
+      });
+
+      // Spotify sometimes returns null entries for removed playlists
+      return response.data.playlists.items.filter(playlist =>
+        playlist && playlist.id && playlist.name && playlist.owner
+      );
+    },
+
+    /**
+     * Get the tracks in a playlist, formatted with formatTrack()
+     */
+    async getPlaylistTracks(playlistId, { limit = 50 } = {}) {
+      const response = await spotifyRequest(req, {
+        url: `/playlists/${playlistId}/tracks`,
+        params: {
+          limit,
+          fields: 'items(track(id,name,artists,album,preview_url,external_urls,duration_ms,popularity))'
+        }
+      });
+
+      return response.data.items
+        .filter(item => item.track && item.track.id) // Filter out null tracks
+        .map(item => formatTrack(item.track));
+    },
+
+    /**
+     * Get audio features for a list of tracks
+     * @returns {Promise<Map>} Track ID -> audio features (tracks without features are left out)
+     */
+    async getAudioFeatures(trackIds) {
+      const featuresById = new Map();
+
+      for (let i = 0; i < trackIds.length; i += AUDIO_FEATURES_BATCH_SIZE) {
+        const response = await spotifyRequest(req, {
+          url: '/audio-features',
+          params: { ids: trackIds.slice(i, i + AUDIO_FEATURES_BATCH_SIZE).join(',') }
+        });
+
+        response.data.audio_features
+          .filter(features => features && features.id)
+          .forEach(features => featuresById.set(features.id, features));
+      }
+
+      return featuresById;
+    },
+
+    /**
+     * Get the user's most-played tracks (needs the user-top-read scope)
+     */
+    async getTopTracks({ limit = 50, timeRange = 'medium_term' } = {}) {
+      const response = await spotifyRequest(req, {
+        url: '/me/top/tracks',
+        params: { limit, time_range: timeRange }
+      });
+
+      return response.data.items.map(formatTrack);
+    },
+
+    /**
+     * Get the user's most-played artists (needs the user-top-read scope)
+     * @returns {Promise<array>} Artists with id and name
+     */
+    async getTopArtists({ limit = 10, timeRange = 'medium_term' } = {}) {
+      const response = await spotifyRequest(req, {
+        url: '/me/top/artists',
+        params: { limit, time_range: timeRange }
+      });
+
+      return response.data.items.map(artist => ({ id: artist.id, name: artist.name }));
+    },
+
+    /**
+     * Get an artist's most popular tracks
+     */
+    async getArtistTopTracks(artistId) {
+      const response = await spotifyRequest(req, {
+        url: `/artists/${artistId}/top-tracks`,
+        params: { market: 'US' }
+      });
+
+      return response.data.tracks.map(formatTrack);
+    },
+
+    /**
+     * Create a playlist on the user's account (needs the playlist-modify scopes)
+     * @returns {Promise<object>} { id, name, url }
+     */
+    async createPlaylist(name, { description = '', isPublic = false } = {}) {
+      const response = await spotifyRequest(req, {
+        method: 'post',
+        url: '/me/playlists',
+        data: { name, description, public: isPublic }
+      });
+
+      return {
+        id: response.data.id,
+        name: response.data.name,
+        url: response.data.external_urls?.spotify || null
+      };
+    },
+
+    /**
+     * Add tracks to one of the user's playlists, in order
+     */
+    async addTracksToPlaylist(playlistId, trackIds) {
+      for (let i = 0; i < trackIds.length; i += PLAYLIST_ADD_BATCH_SIZE) {
+        await spotifyRequest(req, {
+          method: 'post',
+          url: `/playlists/${playlistId}/tracks`,
+          data: {
+            uris: trackIds.slice(i, i + PLAYLIST_ADD_BATCH_SIZE).map(id => `spotify:track:${id}`)
+          }
+        });
+      }
+    },
+
+    /**
+     * Get the genres Spotify accepts as recommendation seeds
+     */
+    async getGenres() {
+      const response = await spotifyRequest(req, { url: '/recommendations/available-genre-seeds' });
+      return response.data.genres;
+    }
+  };
+}
+
+module.exports = createSpotifyProvider;
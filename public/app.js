@@ -19,6 +19,17 @@ class MoodifyApp {
     constructor() {
         // Track application state
         this.currentMood = null;        // Currently selected mood
+        this.currentResults = null;     // Latest recommendations response
+        this.moodLogRequest = null;     // Pending POST /api/mood/log (resolves to the log ID)
+        this.previewAudio = null;       // Audio element for the track preview that's playing
+        this.statsDays = 30;            // How many days the stats charts cover
+        this.historyUserId = null;      // Whose history the timeline shows
+        this.historyParams = null;      // Filters the history timeline was loaded with
+        this.historyTotal = 0;          // How many logs match them
+        this.historyCursor = null;      // Where the next page of history starts (null = no more)
+        this.historyRequest = 0;        // Bumped on every filter change, so stale pages are dropped
+        this.historyLoading = false;    // Whether a page of history is on its way
+        this.historyObserver = null;    // Loads more history when the end of the timeline scrolls into view
         this.isAuthenticated = false;   // Whether user is logged in
         this.init();                    // Start the application
     }
@@ -28,11 +39,13 @@ class MoodifyApp {
      *
      * This runs when the page loads and sets up everything:
      * 1. Check if user is already logged in
-     * 2. Load available moods from backend
-     * 3. Set up event listeners for user interactions
+     * 2. Tell the backend the user's time zone
+     * 3. Load available moods from backend
+     * 4. Set up event listeners for user interactions
      */
     async init() {
         await this.checkAuthStatus();    // Check login status first
+        await this.syncTimezone();       // So stats and suggestions use the user's days and hours
         await this.loadMoods();          // Load mood buttons
         this.setupEventListeners();     // Set up click handlers
     }
@@ -71,6 +84,32 @@ class MoodifyApp {
         }
     }
 
+    /**
+     * SYNC TIME ZONE
+     *
+     * Sends the browser's IANA time zone (e.g. "Asia/Tokyo") so mood
+     * analytics count days and hours where the user actually is
+     */
+    async syncTimezone() {
+        if (!this.isAuthenticated) return;
+
+        try {
+            const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+            if (!timezone) return;
+
+            await fetch('/api/account/settings', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ timezone })
+            });
+        } catch (error) {
+            // Analytics fall back to the server's time zone
+            console.warn('⚠️ Time zone sync failed:', error.message);
+        }
+    }
+
     async loadMoods() {
         if (!this.isAuthenticated) return;
 
@@ -91,11 +130,182 @@ class MoodifyApp {
                 button.addEventListener('click', () => this.selectMood(mood, button));
                 moodButtons.appendChild(button);
             });
+
+            // Custom moods can be filtered on in the history view too
+            this.populateMoodFilter(data.moods);
+
+            // Highlight what the user usually picks around this time
+            this.loadMoodSuggestion();
         } catch (error) {
             console.error('Error loading moods:', error);
         }
     }
 
+    /**
+     * LOAD MOOD SUGGESTION
+     *
+     * Asks the backend which moods the user most likely wants right now,
+     * marks the top suggestion in the mood picker and offers a one-tap
+     * button to get recommendations for it
+     */
+    async loadMoodSuggestion() {
+        const suggestionDiv = document.getElementById('moodSuggestion');
+        if (!suggestionDiv) return;
+
+        try {
+            const authResponse = await fetch('/auth/status');
+            const authData = await authResponse.json();
+            if (!authData.authenticated || !authData.user) return;
+
+            const response = await fetch(`/api/mood/suggestion/${authData.user.id}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to load suggestion');
+            }
+
+            const { suggestions, basis } = data.data;
+            const top = suggestions[0];
+            const button = top && document.querySelector(`.mood-btn[data-mood="${CSS.escape(top.mood)}"]`);
+            if (!button) return;
+
+            document.querySelectorAll('.mood-btn').forEach(btn => btn.classList.remove('suggested'));
+            button.classList.add('suggested');
+
+            const reason = basis === 'default'
+                ? 'A good fit for this time of day'
+                : 'What you usually pick around now';
+            const others = suggestions.slice(1)
+                .map(({ mood, confidence }) => `${this.escapeHtml(this.capitalizeMood(mood))} ${Math.round(confidence * 100)}%`)
+                .join(', ');
+
+            suggestionDiv.innerHTML = `
+                <span>✨ ${reason}: <strong>${this.escapeHtml(top.emoji)} ${this.escapeHtml(this.capitalizeMood(top.mood))}</strong>
+                    ${basis === 'default' ? '' : `(${Math.round(top.confidence * 100)}%${others ? `, then ${others}` : ''})`}</span>
+                <button class="history-btn" id="playSuggestionBtn">▶ Play it</button>
+            `;
+            suggestionDiv.style.display = 'flex';
+
+            document.getElementById('playSuggestionBtn')
+                .addEventListener('click', () => this.selectMood(top.mood, button));
+        } catch (error) {
+            // Suggestions are a nice-to-have: the mood buttons work without them
+            console.warn('⚠️ Mood suggestion unavailable:', error.message);
+        }
+    }
+
+    /**
+     * POPULATE MOOD FILTER
+     *
+     * Rebuilds the history mood filter chips so they list every available
+     * mood, including the user's custom moods. Selected moods stay selected.
+     */
+    populateMoodFilter(moods) {
+        const moodFilter = document.getElementById('moodFilter');
+        if (!moodFilter) return;
+
+        const selected = this.getSelectedFilterMoods();
+        moodFilter.innerHTML = '';
+
+        moods.forEach(mood => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = `mood-filter-chip${selected.includes(mood) ? ' active' : ''}`;
+            chip.dataset.mood = mood;
+            chip.textContent = this.capitalizeMood(mood);
+            moodFilter.appendChild(chip);
+        });
+    }
+
+    /**
+     * Moods picked in the history filter (none means every mood)
+     */
+    getSelectedFilterMoods() {
+        return [...document.querySelectorAll('#moodFilter .mood-filter-chip.active')]
+            .map(chip => chip.dataset.mood);
+    }
+
+    /**
+     * Query parameters for the history filters, shared by the timeline and downloads
+     */
+    getHistoryFilterParams() {
+        const params = new URLSearchParams();
+
+        const moods = this.getSelectedFilterMoods();
+        if (moods.length > 0) {
+            params.append('mood', moods.join(','));
+        }
+
+        const days = document.getElementById('daysFilter').value;
+        if (days) {
+            params.append('days', days);
+        }
+
+        const from = document.getElementById('fromFilter').value;
+        const to = document.getElementById('toFilter').value;
+        if (from) params.append('from', from);
+        if (to) params.append('to', to);
+
+        const tagFilter = document.getElementById('tagFilter').value.trim();
+        if (tagFilter) {
+            params.append('tags', tagFilter);
+        }
+
+        return params;
+    }
+
+    /**
+     * DETECT MOOD FROM TEXT
+     *
+     * Sends what the user typed to the local mood classifier, highlights
+     * the moods it found and gets recommendations for their blend
+     */
+    async detectMoodFromText() {
+        const input = document.getElementById('moodTextInput');
+        const resultDiv = document.getElementById('moodTextResult');
+        const text = input.value.trim();
+        if (!text) return;
+
+        resultDiv.textContent = '🔍 Reading your mood...';
+
+        try {
+            const response = await fetch('/api/mood/classify', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ text })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to detect mood');
+            }
+
+            const { blend, moods, message } = data.data;
+            if (!blend) {
+                resultDiv.textContent = message;
+                return;
+            }
+
+            // Highlight every mood in the blend
+            const blendMoods = blend.split(',').map(part => part.split(':')[0]);
+            document.querySelectorAll('.mood-btn').forEach(btn => {
+                btn.classList.toggle('active', blendMoods.includes(btn.dataset.mood));
+            });
+
+            resultDiv.textContent = 'Sounds like ' + moods
+                .filter(({ mood }) => blendMoods.includes(mood))
+                .map(({ mood, confidence }) => `${this.capitalizeMood(mood)} (${Math.round(confidence * 100)}%)`)
+                .join(' + ');
+
+            this.currentMood = blend;
+            this.getRecommendations(blend);
+        } catch (error) {
+            console.error('Error detecting mood:', error);
+            resultDiv.textContent = `❌ ${error.message}`;
+        }
+    }
+
     selectMood(mood, buttonElement) {
         // Remove active class from all buttons
         document.querySelectorAll('.mood-btn').forEach(btn => {
@@ -104,6 +314,10 @@ class MoodifyApp {
 
         // Add active class to selected button
         buttonElement.classList.add('active');
+
+        // A picked button replaces any mood detected from text
+        const moodTextResult = document.getElementById('moodTextResult');
+        if (moodTextResult) moodTextResult.textContent = '';
         
         this.currentMood = mood;
         this.getRecommendations(mood);
@@ -127,8 +341,9 @@ class MoodifyApp {
         resultsDiv.innerHTML = '<div class="loading">♪ Finding perfect tracks for your mood...</div>';
 
         try {
-            // Call our backend API with the selected mood
-            const response = await fetch(`/api/music/recommendations?mood=${mood}&limit=10`);
+            // Call our backend API with the selected mood (and how much of the user's taste to mix in)
+            const personalization = document.getElementById('personalizationSelect')?.value || '0';
+            const response = await fetch(`/api/music/recommendations?mood=${encodeURIComponent(mood)}&limit=10&personalization=${personalization}`);
             const data = await response.json();
 
             // Check if the request was successful
@@ -137,10 +352,11 @@ class MoodifyApp {
             }
 
             // Display the track recommendations
+            this.currentResults = data;
             this.displayResults(data);
 
             // Log the mood selection for tracking and analytics
-            this.logMoodSelection(mood, data);
+            this.moodLogRequest = this.logMoodSelection(data.mood, data);
         } catch (error) {
             console.error('Error getting recommendations:', error);
 
@@ -160,13 +376,13 @@ class MoodifyApp {
      *
      * Automatically logs when a user selects a mood and gets recommendations.
      * This data is used for mood history and analytics features.
+     * Resolves to the new mood log's ID (or null if logging failed).
      */
     async logMoodSelection(mood, recommendationData) {
         try {
             // Prepare the data to log
             const logData = {
                 mood: mood,
-                playlistUsed: recommendationData.playlistUsed || null,
                 recommendedTracks: recommendationData.tracks?.map(track => ({
                     trackId: track.id,
                     trackName: track.name,
@@ -175,7 +391,6 @@ class MoodifyApp {
                 })) || [],
                 sessionData: {
                     trackCount: recommendationData.tracks?.length || 0,
-                    tracksClicked: 0, // Will be updated when user clicks tracks
                     timestamp: new Date().toISOString()
                 }
             };
@@ -189,17 +404,67 @@ class MoodifyApp {
                 body: JSON.stringify(logData)
             });
 
+            const responseData = await response.json();
+
             if (response.ok) {
                 console.log(`📊 Mood "${mood}" logged successfully`);
-            } else {
-                const errorData = await response.json();
-                console.warn('⚠️ Failed to log mood:', errorData.message);
+                // This log may have earned a badge
+                this.checkNewBadges();
+                return responseData.data.id;
             }
 
+            console.warn('⚠️ Failed to log mood:', responseData.message);
         } catch (error) {
             // Don't show errors to user for logging failures
             console.warn('⚠️ Mood logging failed:', error.message);
         }
+        return null;
+    }
+
+    /**
+     * SAVE AS PLAYLIST
+     *
+     * Saves the current recommendations as a playlist on the user's Spotify
+     * account and records it on this session's mood log.
+     */
+    async saveAsPlaylist(button) {
+        if (!this.currentResults) return;
+
+        const status = document.getElementById('savePlaylistStatus');
+        button.disabled = true;
+        status.textContent = 'Saving playlist...';
+
+        try {
+            // Wait for the mood log so the playlist can be recorded on it
+            const moodLogId = await this.moodLogRequest;
+
+            const response = await fetch('/api/music/playlists', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    mood: this.currentResults.mood,
+                    trackIds: this.currentResults.tracks.map(track => track.id),
+                    moodLogId
+                })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to save playlist');
+            }
+
+            const playlist = data.data.playlist;
+            status.innerHTML = playlist.url
+                ? `Saved! <a href="${playlist.url}" target="_blank" class="track-link">Open "${this.escapeHtml(playlist.name)}"</a>`
+                : `Saved as "${this.escapeHtml(playlist.name)}"`;
+        } catch (error) {
+            console.error('Error saving playlist:', error);
+            status.innerHTML = `${this.escapeHtml(error.message)}
+                ${error.message.includes('login') ? '<a href="/login" class="track-link">Login Again</a>' : ''}`;
+            button.disabled = false;
+        }
     }
 
     displayResults(data) {
@@ -216,22 +481,33 @@ class MoodifyApp {
         }
 
         let html = `
-            <h3>♪ ${this.capitalizeMood(data.mood)} vibes (${data.tracks.length} tracks)</h3>
+            <div class="results-header">
+                <h3>♪ ${this.escapeHtml(this.formatMoodLabel(data.blend || data.mood))} vibes (${data.tracks.length} tracks)</h3>
+                <div class="save-playlist">
+                    <button class="history-btn" id="savePlaylistBtn">💾 Save as playlist</button>
+                    <span id="savePlaylistStatus" class="save-playlist-status"></span>
+                </div>
+            </div>
             <div class="tracks">
         `;
 
         data.tracks.forEach(track => {
             const artists = Array.isArray(track.artists) ? track.artists.join(', ') : track.artists;
             const spotifyUrl = track.external_urls?.spotify || '#';
+            const matchLabel = typeof track.matchScore === 'number' ? ` • ${Math.round(track.matchScore * 100)}% match` : '';
+            const sourceLabel = track.source === 'taste' ? ' • 💚 From your taste' : '';
             
             html += `
                 <div class="track">
                     <div class="track-info">
                         <h3>${this.escapeHtml(track.name)}</h3>
-                        <p>by ${this.escapeHtml(artists)} • ${this.escapeHtml(track.album)}</p>
+                        <p>by ${this.escapeHtml(artists)} • ${this.escapeHtml(track.album)}${matchLabel}${sourceLabel}</p>
                     </div>
                     <div class="track-actions">
-                        <a href="${spotifyUrl}" target="_blank" class="track-link">
+                        <button class="feedback-btn ${track.feedback === 'like' ? 'active' : ''}" data-track-id="${track.id}" data-rating="like" title="Good fit for this mood">👍</button>
+                        <button class="feedback-btn" data-track-id="${track.id}" data-rating="dislike" title="Not right for this mood">👎</button>
+                        ${track.preview_url ? `<button class="preview-btn" data-track-id="${track.id}" title="Play a 30 second preview">▶</button>` : ''}
+                        <a href="${spotifyUrl}" target="_blank" class="track-link" data-track-id="${track.id}">
                             Open in Spotify
                         </a>
                     </div>
@@ -240,12 +516,130 @@ class MoodifyApp {
         });
 
         html += '</div>';
+
+        // Journal: how strong the mood is, why, and where
+        html += `
+            <div class="journal-form">
+                <h3>📝 Journal this mood</h3>
+                <label for="journalIntensity">Intensity: <span id="journalIntensityValue">5</span>/10</label>
+                <input type="range" id="journalIntensity" min="1" max="10" value="5">
+                <textarea id="journalNote" class="journal-input" rows="2" maxlength="1000"
+                    placeholder="What's behind this mood? (optional)"></textarea>
+                <input type="text" id="journalTags" class="journal-input"
+                    placeholder="Tags, comma-separated (e.g. work, gym)">
+                <div class="save-playlist">
+                    <button class="history-btn" id="saveJournalBtn">💾 Save entry</button>
+                    <span id="journalStatus" class="save-playlist-status"></span>
+                </div>
+            </div>
+        `;
+
         resultsDiv.innerHTML = html;
 
+        const intensityInput = document.getElementById('journalIntensity');
+        intensityInput.addEventListener('input', () => {
+            document.getElementById('journalIntensityValue').textContent = intensityInput.value;
+        });
+        document.getElementById('saveJournalBtn')
+            .addEventListener('click', (event) => this.saveJournalEntry(event.currentTarget));
+
+        document.getElementById('savePlaylistBtn')
+            .addEventListener('click', (event) => this.saveAsPlaylist(event.currentTarget));
+
+        resultsDiv.querySelectorAll('.feedback-btn').forEach(button => {
+            button.addEventListener('click', (event) => this.sendTrackFeedback(event.currentTarget));
+        });
+
         // Add click tracking to Spotify links
         this.setupTrackClickTracking();
     }
 
+    /**
+     * SAVE JOURNAL ENTRY
+     *
+     * Adds the note, intensity and tags from the journal form to this
+     * session's mood log (saving again updates the same entry)
+     */
+    async saveJournalEntry(button) {
+        const status = document.getElementById('journalStatus');
+        button.disabled = true;
+        status.textContent = 'Saving...';
+
+        try {
+            const moodLogId = await this.moodLogRequest;
+            if (!moodLogId) {
+                throw new Error('This session wasn\'t logged, so there is nothing to add to');
+            }
+
+            const response = await fetch(`/api/mood/log/${moodLogId}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    intensity: parseInt(document.getElementById('journalIntensity').value),
+                    note: document.getElementById('journalNote').value.trim() || null,
+                    tags: document.getElementById('journalTags').value
+                })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to save journal entry');
+            }
+
+            status.textContent = 'Saved ✓';
+        } catch (error) {
+            console.error('Error saving journal entry:', error);
+            status.textContent = error.message;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * SEND TRACK FEEDBACK
+     *
+     * Thumbs up / down on a track for the current mood. Clicking the active
+     * button again clears the feedback. Disliked tracks are faded out and
+     * left out of future recommendations for this mood.
+     */
+    async sendTrackFeedback(button) {
+        const trackId = button.dataset.trackId;
+        const track = this.currentResults?.tracks.find(t => t.id === trackId);
+        if (!track) return;
+
+        const trackCard = button.closest('.track');
+        const rating = button.classList.contains('active') ? null : button.dataset.rating;
+
+        try {
+            const response = await fetch('/api/music/feedback', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    trackId,
+                    mood: this.currentResults.mood,
+                    rating,
+                    trackName: track.name,
+                    artists: Array.isArray(track.artists) ? track.artists : [track.artists]
+                })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error || 'Failed to save feedback');
+            }
+
+            track.feedback = rating;
+            trackCard.querySelectorAll('.feedback-btn').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.rating === rating);
+            });
+            trackCard.classList.toggle('disliked', rating === 'dislike');
+        } catch (error) {
+            console.error('Error saving track feedback:', error);
+        }
+    }
+
     /**
      * SETUP TRACK CLICK TRACKING
      *
@@ -253,13 +647,77 @@ class MoodifyApp {
      * This helps measure engagement with recommendations
      */
     setupTrackClickTracking() {
-        const trackLinks = document.querySelectorAll('.track-link');
+        const trackLinks = document.querySelectorAll('.track-link[data-track-id]');
         trackLinks.forEach(link => {
             link.addEventListener('click', () => {
-                console.log('🎵 User clicked on Spotify track');
-                // Could send analytics event here if needed
+                this.recordTrackEngagement(link.dataset.trackId, 'click');
             });
         });
+
+        document.querySelectorAll('.preview-btn').forEach(button => {
+            button.addEventListener('click', (event) => this.togglePreview(event.currentTarget));
+        });
+    }
+
+    /**
+     * TOGGLE TRACK PREVIEW
+     *
+     * Plays a track's preview (stopping any other one), or stops it if it's
+     * already playing. Each play is recorded as engagement on the mood log.
+     */
+    togglePreview(button) {
+        const track = this.currentResults?.tracks.find(t => t.id === button.dataset.trackId);
+        if (!track?.preview_url) return;
+
+        const wasPlaying = button.classList.contains('playing');
+
+        if (this.previewAudio) {
+            this.previewAudio.pause();
+            this.previewAudio = null;
+        }
+        document.querySelectorAll('.preview-btn.playing').forEach(btn => {
+            btn.classList.remove('playing');
+            btn.textContent = '▶';
+        });
+
+        if (wasPlaying) return;
+
+        this.previewAudio = new Audio(track.preview_url);
+        this.previewAudio.addEventListener('ended', () => {
+            button.classList.remove('playing');
+            button.textContent = '▶';
+        });
+        this.previewAudio.play()
+            .then(() => this.recordTrackEngagement(track.id, 'preview'))
+            .catch(error => console.warn('⚠️ Could not play preview:', error.message));
+
+        button.classList.add('playing');
+        button.textContent = '⏸';
+    }
+
+    /**
+     * RECORD TRACK ENGAGEMENT
+     *
+     * Tells the backend the user opened or previewed a track, against this
+     * session's mood log. Like mood logging, failures are never shown to the user.
+     */
+    async recordTrackEngagement(trackId, type) {
+        try {
+            const moodLogId = await this.moodLogRequest;
+            if (!moodLogId) return;
+
+            // keepalive lets the request finish if the click navigates away
+            await fetch(`/api/mood/log/${moodLogId}/engagement`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ trackId, type }),
+                keepalive: true
+            });
+        } catch (error) {
+            console.warn('⚠️ Engagement tracking failed:', error.message);
+        }
     }
 
     setupEventListeners() {
@@ -272,8 +730,106 @@ class MoodifyApp {
             this.checkAuthStatus();
         }
 
+        // Describe-your-mood box
+        const moodTextForm = document.getElementById('moodTextForm');
+        if (moodTextForm) {
+            moodTextForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.detectMoodFromText();
+            });
+        }
+
         // Setup mood history event listeners
         this.setupMoodHistoryListeners();
+
+        const logoutOthersBtn = document.getElementById('logoutOthersBtn');
+        if (logoutOthersBtn) {
+            logoutOthersBtn.addEventListener('click', () => this.logoutOtherSessions());
+        }
+
+        const deleteAccountBtn = document.getElementById('deleteAccountBtn');
+        if (deleteAccountBtn) {
+            deleteAccountBtn.addEventListener('click', () => this.deleteAccount());
+        }
+    }
+
+    /**
+     * LOG OUT OTHER DEVICES
+     *
+     * Lists the user's other sessions, then logs them all out after
+     * the user confirms
+     */
+    async logoutOtherSessions() {
+        try {
+            const response = await fetch('/api/account/sessions');
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to load sessions');
+            }
+
+            const others = data.data.sessions.filter(session => !session.current);
+            if (others.length === 0) {
+                window.alert('You are not logged in anywhere else.');
+                return;
+            }
+
+            const list = others
+                .map(session => `• ${session.userAgent || 'Unknown browser'} - logged in ${session.loginAt ? new Date(session.loginAt).toLocaleString() : 'at an unknown time'}`)
+                .join('\n');
+            if (!window.confirm(`Log out of ${others.length} other session${others.length === 1 ? '' : 's'}?\n\n${list}`)) return;
+
+            const revokeResponse = await fetch('/api/account/sessions', { method: 'DELETE' });
+            const revoked = await revokeResponse.json();
+
+            if (!revokeResponse.ok) {
+                throw new Error(revoked.message || 'Failed to log out other sessions');
+            }
+
+            window.alert(revoked.message);
+        } catch (error) {
+            console.error('Error logging out other sessions:', error);
+            window.alert(`Could not log out other devices: ${error.message}`);
+        }
+    }
+
+    /**
+     * DELETE ACCOUNT
+     *
+     * Asks the user to type DELETE, then erases all of their Moodify data
+     * and shows the deletion receipt
+     */
+    async deleteAccount() {
+        const confirmation = window.prompt(
+            'This permanently deletes your mood history, custom moods, track feedback, goals and badges, ' +
+            'and logs you out everywhere. Type DELETE to confirm.'
+        );
+        if (confirmation !== 'DELETE') return;
+
+        try {
+            const response = await fetch('/api/account', {
+                method: 'DELETE',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ confirm: confirmation })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to delete account');
+            }
+
+            const { receipt } = data.data;
+            const counts = Object.entries(receipt.deleted)
+                .map(([key, count]) => `${key}: ${count}`)
+                .join('\n');
+            window.alert(`Your account has been deleted.\n\nReceipt ${receipt.receiptId}\n${receipt.deletedAt}\n\n${counts}`);
+            window.location.href = '/';
+        } catch (error) {
+            console.error('Error deleting account:', error);
+            window.alert(`Could not delete your account: ${error.message}`);
+        }
     }
 
     /**
@@ -298,12 +854,71 @@ class MoodifyApp {
 
         // Filter change listeners
         if (moodFilter) {
-            moodFilter.addEventListener('change', () => this.filterMoodHistory());
+            moodFilter.addEventListener('click', (event) => {
+                const chip = event.target.closest('.mood-filter-chip');
+                if (!chip) return;
+
+                chip.classList.toggle('active');
+                this.filterMoodHistory();
+            });
         }
 
         if (daysFilter) {
             daysFilter.addEventListener('change', () => this.filterMoodHistory());
         }
+
+        ['fromFilter', 'toFilter'].forEach(id => {
+            const dateFilter = document.getElementById(id);
+            if (dateFilter) {
+                dateFilter.addEventListener('change', () => this.filterMoodHistory());
+            }
+        });
+
+        // Infinite scroll: fetch the next page as the end of the timeline comes into view
+        const timeline = document.getElementById('historyTimeline');
+        if (timeline) {
+            this.historyObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadMoreHistory();
+                }
+            }, { root: timeline, rootMargin: '100px' });
+        }
+
+        const tagFilter = document.getElementById('tagFilter');
+        if (tagFilter) {
+            tagFilter.addEventListener('change', () => this.filterMoodHistory());
+        }
+
+        document.querySelectorAll('.export-btn[data-format]').forEach(button => {
+            button.addEventListener('click', () => this.downloadMoodHistory(button.dataset.format));
+        });
+
+        const importHistoryBtn = document.getElementById('importHistoryBtn');
+        const importHistoryFile = document.getElementById('importHistoryFile');
+        if (importHistoryBtn && importHistoryFile) {
+            importHistoryBtn.addEventListener('click', () => importHistoryFile.click());
+            importHistoryFile.addEventListener('change', () => this.importMoodHistory(importHistoryFile));
+        }
+
+        document.querySelectorAll('.goal-preset-btn').forEach(button => {
+            button.addEventListener('click', () => this.setGoal(button.dataset.goalType, button.dataset.goalPeriod));
+        });
+
+        const statsRange = document.getElementById('statsRange');
+        if (statsRange) {
+            statsRange.addEventListener('change', () => {
+                this.statsDays = parseInt(statsRange.value, 10);
+                this.loadMoodStats();
+            });
+        }
+
+        const digestForm = document.getElementById('digestForm');
+        if (digestForm) {
+            digestForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.saveDigestPreferences();
+            });
+        }
     }
 
     /**
@@ -371,8 +986,10 @@ class MoodifyApp {
      */
     async loadMoodHistory() {
         const timeline = document.getElementById('historyTimeline');
-        const moodFilter = document.getElementById('moodFilter').value;
-        const daysFilter = document.getElementById('daysFilter').value;
+
+        // Start over: any page still loading for the old filters is ignored
+        const request = ++this.historyRequest;
+        this.historyCursor = null;
 
         try {
             timeline.innerHTML = '<div class="loading">📊 Loading your mood history...</div>';
@@ -385,48 +1002,157 @@ class MoodifyApp {
                 throw new Error('User not authenticated');
             }
 
-            const userId = authData.user.id;
+            this.historyUserId = authData.user.id;
+            this.historyParams = this.getHistoryFilterParams();
 
-            // Build query parameters
-            const params = new URLSearchParams({
-                limit: '20',
-                days: daysFilter
-            });
+            const page = await this.fetchHistoryPage();
+            if (request !== this.historyRequest) return;
 
-            if (moodFilter) {
-                params.append('mood', moodFilter);
-            }
-
-            // Fetch mood history
-            const response = await fetch(`/api/mood/history/${userId}?${params}`);
-            const data = await response.json();
-
-            if (!response.ok) {
-                throw new Error(data.message || 'Failed to load mood history');
-            }
-
-            this.displayMoodHistory(data.data.history);
+            this.displayMoodHistory(page.history, page.pagination);
 
         } catch (error) {
+            if (request !== this.historyRequest) return;
+
             console.error('Error loading mood history:', error);
             timeline.innerHTML = `
                 <div class="error">
                     <h3>Unable to load mood history</h3>
-                    <p>${error.message}</p>
+                    <p>${this.escapeHtml(error.message)}</p>
                 </div>
             `;
         }
     }
 
+    /**
+     * FETCH HISTORY PAGE
+     *
+     * Gets one page of history for the current filters, starting at a cursor
+     * from the previous page (or at the newest log)
+     */
+    async fetchHistoryPage(cursor = null) {
+        const params = new URLSearchParams(this.historyParams);
+        params.set('limit', '20');
+        if (cursor) {
+            params.set('cursor', cursor);
+        }
+
+        const response = await fetch(`/api/mood/history/${this.historyUserId}?${params}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to load mood history');
+        }
+
+        return data.data;
+    }
+
+    /**
+     * LOAD MORE HISTORY
+     *
+     * Appends the next page when the user scrolls to the end of the timeline
+     */
+    async loadMoreHistory() {
+        if (this.historyLoading || !this.historyCursor) return;
+
+        const request = this.historyRequest;
+        const sentinel = document.getElementById('historySentinel');
+        this.historyLoading = true;
+        if (sentinel) sentinel.textContent = '📊 Loading more...';
+
+        try {
+            const page = await this.fetchHistoryPage(this.historyCursor);
+            if (request !== this.historyRequest) return;
+
+            this.appendMoodHistory(page.history, page.pagination);
+        } catch (error) {
+            console.error('Error loading more mood history:', error);
+            if (sentinel && request === this.historyRequest) {
+                sentinel.textContent = `❌ ${error.message} - scroll to try again`;
+            }
+        } finally {
+            this.historyLoading = false;
+        }
+    }
+
+    /**
+     * DOWNLOAD MOOD HISTORY
+     *
+     * Downloads the full history (with the current filters) as CSV,
+     * newline-delimited JSON or an iCalendar file
+     */
+    async downloadMoodHistory(format) {
+        try {
+            const authResponse = await fetch('/auth/status');
+            const authData = await authResponse.json();
+
+            if (!authData.authenticated || !authData.user) {
+                throw new Error('User not authenticated');
+            }
+
+            const params = this.getHistoryFilterParams();
+            params.set('format', format);
+
+            // The server sends it as an attachment, so the page stays put
+            window.location.href = `/api/mood/export/${authData.user.id}?${params}`;
+        } catch (error) {
+            console.error('Error downloading mood history:', error);
+        }
+    }
+
+    /**
+     * IMPORT MOOD HISTORY
+     *
+     * Uploads a CSV or JSON file (a Moodify export or another app's) and
+     * reports how many entries were imported, skipped and rejected
+     */
+    async importMoodHistory(fileInput) {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        const status = document.getElementById('importHistoryStatus');
+        const format = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+        status.textContent = `Importing ${file.name}...`;
+
+        try {
+            const response = await fetch(`/api/mood/import?format=${format}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': format === 'csv' ? 'text/csv' : 'text/plain'
+                },
+                body: await file.text()
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error || 'Import failed');
+            }
+
+            const { summary, rows } = data.data;
+            const firstRejected = rows.find(row => row.status === 'rejected');
+            status.textContent = `Imported ${summary.accepted} of ${summary.total} entries` +
+                (summary.duplicates ? ` • ${summary.duplicates} already in your history` : '') +
+                (summary.rejected ? ` • ${summary.rejected} rejected (row ${firstRejected.row}: ${firstRejected.errors[0]})` : '');
+
+            await this.loadMoodHistory();
+        } catch (error) {
+            console.error('Error importing mood history:', error);
+            status.textContent = `Import failed: ${error.message}`;
+        } finally {
+            // Let the same file be picked again
+            fileInput.value = '';
+        }
+    }
+
     /**
      * DISPLAY MOOD HISTORY
      *
      * Renders the mood history timeline
      */
-    displayMoodHistory(history) {
+    displayMoodHistory(history, pagination = {}) {
         const timeline = document.getElementById('historyTimeline');
 
         if (!history || history.length === 0) {
+            this.historyCursor = null;
             timeline.innerHTML = `
                 <div class="empty-state">
                     <h3>No mood history yet</h3>
@@ -436,28 +1162,76 @@ class MoodifyApp {
             return;
         }
 
-        let html = '';
-        history.forEach(entry => {
-            const date = new Date(entry.timestamp);
-            const formattedDate = date.toLocaleDateString();
-            const formattedTime = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-            const trackCount = entry.sessionData?.trackCount || 0;
+        this.historyTotal = pagination.totalCount;
+        timeline.innerHTML = `
+            <div id="historyList">${history.map(entry => this.renderHistoryItem(entry)).join('')}</div>
+            <div class="history-sentinel" id="historySentinel"></div>
+        `;
+        this.updateHistoryCursor(pagination);
+    }
 
-            html += `
-                <div class="history-item">
-                    <div class="history-item-header">
-                        <span class="mood-badge">${this.capitalizeMood(entry.mood)}</span>
-                        <span class="history-timestamp">${formattedDate} at ${formattedTime}</span>
-                    </div>
-                    <div class="history-tracks">
-                        🎵 ${trackCount} tracks recommended
-                        ${entry.playlistUsed ? `• Playlist: ${entry.playlistUsed}` : ''}
-                    </div>
-                </div>
-            `;
-        });
+    /**
+     * APPEND MOOD HISTORY
+     *
+     * Adds the next page of entries to the end of the timeline
+     */
+    appendMoodHistory(history, pagination) {
+        document.getElementById('historyList')
+            .insertAdjacentHTML('beforeend', history.map(entry => this.renderHistoryItem(entry)).join(''));
+        this.updateHistoryCursor(pagination);
+    }
 
-        timeline.innerHTML = html;
+    /**
+     * Remember where the next page starts, and watch for the end of the
+     * timeline if there is one
+     */
+    updateHistoryCursor(pagination) {
+        const sentinel = document.getElementById('historySentinel');
+        this.historyCursor = pagination?.nextCursor || null;
+
+        sentinel.textContent = this.historyCursor || !this.historyTotal
+            ? ''
+            : `That's all ${this.historyTotal} mood${this.historyTotal === 1 ? '' : 's'}`;
+
+        // Re-observing checks straight away, so a page too short to scroll still loads the next one
+        if (this.historyObserver) {
+            this.historyObserver.unobserve(sentinel);
+            if (this.historyCursor) {
+                this.historyObserver.observe(sentinel);
+            }
+        }
+    }
+
+    /**
+     * Build the timeline entry for one mood log
+     */
+    renderHistoryItem(entry) {
+        const date = new Date(entry.timestamp);
+        const formattedDate = date.toLocaleDateString();
+        const formattedTime = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const trackCount = entry.sessionData?.trackCount || 0;
+        const tracksClicked = entry.sessionData?.tracksClicked || 0;
+        const journal = [
+            entry.intensity ? `🌡️ ${entry.intensity}/10` : '',
+            ...(entry.tags || []).map(tag => `<span class="tag-chip">#${this.escapeHtml(tag)}</span>`)
+        ].filter(Boolean).join(' ');
+
+        return `
+            <div class="history-item">
+                <div class="history-item-header">
+                    <span class="mood-badge">${this.escapeHtml(this.formatMoodLabel(entry.blend?.length ? entry.blend : entry.mood))}</span>
+                    <span class="history-timestamp">${formattedDate} at ${formattedTime}</span>
+                </div>
+                <div class="history-tracks">
+                    🎵 ${trackCount} tracks recommended${tracksClicked ? ` • ${tracksClicked} opened` : ''}
+                    ${entry.playlistUsed ? `• Saved as ${entry.playlistUsed.url
+                        ? `<a href="${entry.playlistUsed.url}" target="_blank" class="track-link">${this.escapeHtml(entry.playlistUsed.name)}</a>`
+                        : this.escapeHtml(entry.playlistUsed.name)}` : ''}
+                </div>
+                ${journal ? `<div class="history-journal">${journal}</div>` : ''}
+                ${entry.note ? `<div class="history-note">“${this.escapeHtml(entry.note)}”</div>` : ''}
+            </div>
+        `;
     }
 
     /**
@@ -487,7 +1261,7 @@ class MoodifyApp {
             const userId = authData.user.id;
 
             // Fetch mood statistics
-            const response = await fetch(`/api/mood/stats/${userId}?days=30`);
+            const response = await fetch(`/api/mood/stats/${userId}?days=${this.statsDays}`);
             const data = await response.json();
 
             if (!response.ok) {
@@ -495,6 +1269,8 @@ class MoodifyApp {
             }
 
             this.displayMoodStats(data.data);
+            this.loadProgress();
+            this.loadDigests();
 
         } catch (error) {
             console.error('Error loading mood stats:', error);
@@ -518,20 +1294,21 @@ class MoodifyApp {
             stats.moodCounts[0]?._id ? this.capitalizeMood(stats.moodCounts[0]._id) : 'None';
 
         document.getElementById('totalSessionsStat').textContent = stats.summary.totalMoodLogs;
-        document.getElementById('moodVarietyStat').textContent = `${stats.summary.moodVariety}/6`;
+        document.getElementById('moodVarietyStat').textContent = `${stats.summary.moodVariety}/${stats.summary.availableMoods}`;
 
         // Display insights
         const insightsList = document.getElementById('insightsList');
         if (stats.insights && stats.insights.length > 0) {
+            // Icons and messages can include custom mood names and emojis, so escape them
             let html = '';
             stats.insights.forEach(insight => {
                 html += `
                     <div class="insight-item">
                         <div class="insight-title">
-                            <span class="insight-icon">${insight.icon}</span>
-                            ${insight.title}
+                            <span class="insight-icon">${this.escapeHtml(insight.icon)}</span>
+                            ${this.escapeHtml(insight.title)}
                         </div>
-                        <div class="insight-message">${insight.message}</div>
+                        <div class="insight-message">${this.escapeHtml(insight.message)}</div>
                     </div>
                 `;
             });
@@ -543,12 +1320,513 @@ class MoodifyApp {
                 </div>
             `;
         }
+
+        this.displayLikedTracks(stats.likedTracks || []);
+        this.displayEngagement(stats.engagement || []);
+        this.displayJournalStats(stats.moodCounts || [], stats.tags || []);
+        this.displayTransitions(stats.transitions);
+        this.displayCharts(stats);
+    }
+
+    /**
+     * DISPLAY CHARTS
+     *
+     * Draws the daily mood timeline, mood mix donut and day x hour heatmap
+     * for the selected range (see charts.js)
+     */
+    displayCharts(stats) {
+        const timelineChart = document.getElementById('timelineChart');
+        const donutChart = document.getElementById('donutChart');
+        const heatmapChart = document.getElementById('heatmapChart');
+        const trends = stats.trends || [];
+
+        if (trends.length === 0) {
+            const empty = `
+                <div class="empty-state">
+                    <p>No moods logged in this range yet.</p>
+                </div>
+            `;
+            timelineChart.innerHTML = empty;
+            donutChart.innerHTML = '';
+            heatmapChart.innerHTML = '';
+            return;
+        }
+
+        // Every day in the range, including ones with nothing logged
+        const days = [];
+        const [fromYear, fromMonth, fromDay] = stats.range.from.split('-').map(Number);
+        for (let date = new Date(Date.UTC(fromYear, fromMonth - 1, fromDay));
+            date.toISOString().slice(0, 10) <= stats.range.to;
+            date.setUTCDate(date.getUTCDate() + 1)) {
+            days.push(date.toISOString().slice(0, 10));
+        }
+
+        // Sessions per day and mood (blends split by weight), and in total per mood.
+        // Custom mood names can be anything (even "constructor"), so no prototypes.
+        const values = Object.create(null);
+        const totals = Object.create(null);
+        trends.forEach(({ _id, weight }) => {
+            values[_id.date] = values[_id.date] || Object.create(null);
+            values[_id.date][_id.mood] = weight;
+            totals[_id.mood] = (totals[_id.mood] || 0) + weight;
+        });
+
+        const moods = Object.keys(totals).sort((a, b) => totals[b] - totals[a]);
+        const labels = Object.fromEntries(moods.map(mood => [mood, this.capitalizeMood(mood)]));
+
+        MoodCharts.stackedTimeline(timelineChart, { days, moods, values, labels });
+        MoodCharts.donut(donutChart, moods.map(mood => ({ mood, value: totals[mood], label: labels[mood] })));
+        MoodCharts.heatmap(heatmapChart, stats.patterns.dayHour || []);
+    }
+
+    /**
+     * LOAD PROGRESS
+     *
+     * Fetches streaks, goals and badges for the stats panel
+     */
+    async loadProgress() {
+        try {
+            const response = await fetch('/api/mood/progress');
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to load progress');
+            }
+
+            this.displayProgress(data.data);
+        } catch (error) {
+            console.error('Error loading progress:', error);
+            document.getElementById('goalsList').innerHTML = `
+                <div class="error">
+                    <p>Unable to load goals and badges: ${this.escapeHtml(error.message)}</p>
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * DISPLAY PROGRESS
+     *
+     * Streak cards, goal progress bars and the badge cabinet
+     */
+    displayProgress(progress) {
+        const { streaks, goals, badges } = progress;
+        const days = count => `${count} day${count === 1 ? '' : 's'}`;
+
+        document.getElementById('currentStreakStat').textContent =
+            `🔥 ${days(streaks.current)}${streaks.current > 0 && !streaks.loggedToday ? ' (log today to keep it!)' : ''}`;
+        document.getElementById('longestStreakStat').textContent = `🏆 ${days(streaks.longest)}`;
+
+        const goalsList = document.getElementById('goalsList');
+        if (goals.length === 0) {
+            goalsList.innerHTML = `
+                <div class="empty-state">
+                    <p>No goals yet - pick one below to get started.</p>
+                </div>
+            `;
+        } else {
+            goalsList.innerHTML = goals.map(goal => `
+                <div class="insight-item goal-item ${goal.status}">
+                    <div class="insight-title">
+                        ${goal.status === 'completed' ? '✅' : goal.status === 'missed' ? '⌛' : '🎯'}
+                        ${this.escapeHtml(goal.title)}
+                        <span class="goal-count">${goal.current}/${goal.target}</span>
+                        ${goal.status === 'active' ? `<button class="goal-remove-btn" data-goal-id="${goal.id}" title="Remove goal">✕</button>` : ''}
+                    </div>
+                    <div class="goal-bar"><div class="goal-bar-fill" style="width: ${goal.percent}%"></div></div>
+                </div>
+            `).join('');
+
+            goalsList.querySelectorAll('.goal-remove-btn').forEach(button => {
+                button.addEventListener('click', () => this.removeGoal(button.dataset.goalId));
+            });
+        }
+
+        document.getElementById('badgeList').innerHTML = badges.map(badge => `
+            <div class="badge ${badge.earned ? 'earned' : 'locked'}"
+                title="${this.escapeHtml(badge.description)}${badge.earned ? ` - earned ${new Date(badge.awardedAt).toLocaleDateString()}` : ''}">
+                <span class="badge-emoji">${badge.emoji}</span>
+                <span class="badge-name">${this.escapeHtml(badge.name)}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * SET GOAL
+     *
+     * Creates one of the preset goals for the current week or month
+     */
+    async setGoal(type, period) {
+        const status = document.getElementById('goalStatus');
+        status.textContent = '';
+
+        try {
+            const response = await fetch('/api/mood/progress/goals', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ type, period })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to set goal');
+            }
+
+            status.textContent = `🎯 Goal set: ${data.data.title}`;
+            this.loadProgress();
+        } catch (error) {
+            console.error('Error setting goal:', error);
+            status.textContent = `❌ ${error.message}`;
+        }
+    }
+
+    /**
+     * REMOVE GOAL
+     */
+    async removeGoal(goalId) {
+        try {
+            const response = await fetch(`/api/mood/progress/goals/${goalId}`, { method: 'DELETE' });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to remove goal');
+            }
+
+            this.loadProgress();
+        } catch (error) {
+            console.error('Error removing goal:', error);
+            document.getElementById('goalStatus').textContent = `❌ ${error.message}`;
+        }
+    }
+
+    /**
+     * LOAD DIGESTS
+     *
+     * Fetches digest preferences and past digests for the stats panel
+     */
+    async loadDigests() {
+        try {
+            const [preferencesResponse, digestsResponse] = await Promise.all([
+                fetch('/api/mood/digests/preferences'),
+                fetch('/api/mood/digests')
+            ]);
+            const preferences = await preferencesResponse.json();
+            const digests = await digestsResponse.json();
+
+            if (!preferencesResponse.ok || !digestsResponse.ok) {
+                throw new Error(preferences.message || digests.message || 'Failed to load digests');
+            }
+
+            this.displayDigestPreferences(preferences.data);
+            this.displayDigests(digests.data.digests);
+        } catch (error) {
+            console.error('Error loading digests:', error);
+            document.getElementById('digestList').innerHTML = `
+                <div class="error">
+                    <p>Unable to load digests: ${this.escapeHtml(error.message)}</p>
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * DISPLAY DIGEST PREFERENCES
+     */
+    displayDigestPreferences(preferences) {
+        document.getElementById('digestFrequency').value = preferences.frequency;
+        document.getElementById('digestEmail').value = preferences.email || preferences.accountEmail || '';
+
+        if (preferences.frequency !== 'off' && !preferences.emailConfigured) {
+            document.getElementById('digestStatus').textContent =
+                'ℹ️ Email isn\'t set up on this server - digests will still appear below';
+        }
+    }
+
+    /**
+     * DISPLAY DIGESTS
+     *
+     * Past weekly and monthly digests, newest first
+     */
+    displayDigests(digests) {
+        const digestList = document.getElementById('digestList');
+
+        if (digests.length === 0) {
+            digestList.innerHTML = `
+                <div class="empty-state">
+                    <p>No digests yet - turn them on and your first arrives when the week or month is over.</p>
+                </div>
+            `;
+            return;
+        }
+
+        digestList.innerHTML = digests.map(digest => {
+            const periodName = digest.period === 'month' ? 'Month' : 'Week';
+            const moods = digest.topMoods
+                .map(mood => `<span class="tag-chip">${this.escapeHtml(this.capitalizeMood(mood.mood))} ×${mood.count} (${this.escapeHtml(mood.change)})</span>`)
+                .join(' ');
+            const tracks = digest.topTracks
+                .map(track => this.escapeHtml(`${track.trackName || track.trackId}${track.artistName ? ` by ${track.artistName}` : ''}`))
+                .join(', ');
+
+            return `
+                <div class="insight-item">
+                    <div class="insight-title">📰 ${periodName} of ${this.escapeHtml(digest.title)}</div>
+                    <div class="insight-message">
+                        ${digest.totalLogs} mood${digest.totalLogs === 1 ? '' : 's'} on ${digest.daysLogged} day${digest.daysLogged === 1 ? '' : 's'}
+                        (${this.escapeHtml(digest.change)}) · 🔥 ${digest.streaks.current}-day streak
+                    </div>
+                    ${moods ? `<div class="insight-message">${moods}</div>` : ''}
+                    ${tracks ? `<div class="insight-message">🎧 Most opened: ${tracks}</div>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * SAVE DIGEST PREFERENCES
+     */
+    async saveDigestPreferences() {
+        const status = document.getElementById('digestStatus');
+        const frequency = document.getElementById('digestFrequency').value;
+        const email = document.getElementById('digestEmail').value.trim();
+        status.textContent = '';
+
+        try {
+            const response = await fetch('/api/mood/digests/preferences', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ frequency, ...(email ? { email } : {}) })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to save digest preferences');
+            }
+
+            status.textContent = `📰 ${data.message}`;
+        } catch (error) {
+            console.error('Error saving digest preferences:', error);
+            status.textContent = `❌ ${error.message}`;
+        }
+    }
+
+    /**
+     * CHECK NEW BADGES
+     *
+     * Called after a mood is logged - badges are awarded when progress is
+     * checked, so this both awards and announces them
+     */
+    async checkNewBadges() {
+        try {
+            const response = await fetch('/api/mood/progress');
+            const data = await response.json();
+            if (!response.ok || data.data.newBadges.length === 0) return;
+
+            const toast = document.getElementById('badgeToast');
+            toast.innerHTML = data.data.newBadges
+                .map(badge => `🏅 New badge: ${badge.emoji} <strong>${this.escapeHtml(badge.name)}</strong> - ${this.escapeHtml(badge.description)}`)
+                .join('<br>');
+            toast.style.display = 'block';
+            setTimeout(() => {
+                toast.style.display = 'none';
+            }, 8000);
+        } catch (error) {
+            console.warn('⚠️ Badge check failed:', error.message);
+        }
+    }
+
+    /**
+     * DISPLAY JOURNAL STATS
+     *
+     * Average intensity per mood and the most used journal tags
+     */
+    displayJournalStats(moodCounts, tags) {
+        const journalStatsList = document.getElementById('journalStatsList');
+        const ratedMoods = moodCounts.filter(mood => typeof mood.averageIntensity === 'number');
+
+        if (ratedMoods.length === 0 && tags.length === 0) {
+            journalStatsList.innerHTML = `
+                <div class="empty-state">
+                    <p>Journal your moods to see how strong they run and what's behind them.</p>
+                </div>
+            `;
+            return;
+        }
+
+        let html = ratedMoods.map(mood => `
+            <div class="insight-item">
+                <div class="insight-title">
+                    ${this.escapeHtml(this.capitalizeMood(mood._id))}: ${mood.averageIntensity}/10 average intensity
+                </div>
+            </div>
+        `).join('');
+
+        if (tags.length > 0) {
+            html += `
+                <div class="insight-item">
+                    <div class="insight-title">Your tags</div>
+                    <div class="insight-message">
+                        ${tags.map(tag => `<span class="tag-chip">#${this.escapeHtml(tag.tag)} ×${tag.count}</span>`).join(' ')}
+                    </div>
+                </div>
+            `;
+        }
+
+        journalStatsList.innerHTML = html;
+    }
+
+    /**
+     * DISPLAY TRANSITIONS
+     *
+     * Matrix of which mood the user picks after each one: rows are the mood
+     * before, columns the mood after, shaded by how likely the move is
+     */
+    displayTransitions(transitions) {
+        const transitionsMatrix = document.getElementById('transitionsMatrix');
+
+        if (!transitions || transitions.totalTransitions === 0) {
+            transitionsMatrix.innerHTML = `
+                <div class="empty-state">
+                    <p>Log a few moods in a row to see which ones tend to follow each other.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const moods = transitions.moods;
+        const header = moods.map(mood => `<th>${this.escapeHtml(this.capitalizeMood(mood))}</th>`).join('');
+
+        // Mood names come from users, so only look up the matrix's own keys
+        const own = (object, key) => (object && Object.prototype.hasOwnProperty.call(object, key) ? object[key] : null);
+
+        const rows = moods.map(from => {
+            const row = own(transitions.matrix, from);
+            const cells = moods.map(to => {
+                const cell = own(row?.to, to);
+                if (!cell) return '<td class="empty-cell">-</td>';
+
+                const percent = Math.round(cell.probability * 100);
+                const title = `${cell.count} time${cell.count === 1 ? '' : 's'}, ` +
+                    `usually ${this.formatGap(cell.medianGapMinutes)} later`;
+                return `<td style="background: rgba(0, 191, 255, ${(cell.probability * 0.6).toFixed(2)})" ` +
+                    `title="${this.escapeHtml(title)}">${percent}%</td>`;
+            }).join('');
+
+            return `<tr><th>${this.escapeHtml(this.capitalizeMood(from))}</th>${cells}</tr>`;
+        }).join('');
+
+        transitionsMatrix.innerHTML = `
+            <table class="transitions-table">
+                <tr><th>After ↓ / Next →</th>${header}</tr>
+                ${rows}
+            </table>
+            <div class="transitions-note">
+                Based on ${transitions.totalTransitions} mood change${transitions.totalTransitions === 1 ? '' : 's'}.
+                Hover a cell to see how often it happened and how long it usually takes.
+            </div>
+        `;
+    }
+
+    /**
+     * Describe a gap in minutes, e.g. "20 minutes", "3 hours", "1 day"
+     */
+    formatGap(minutes) {
+        if (minutes < 60) {
+            const rounded = Math.max(1, Math.round(minutes));
+            return `${rounded} minute${rounded === 1 ? '' : 's'}`;
+        }
+        if (minutes < 24 * 60) {
+            const hours = Math.round(minutes / 60);
+            return `${hours} hour${hours === 1 ? '' : 's'}`;
+        }
+        const days = Math.round(minutes / (24 * 60));
+        return `${days} day${days === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * DISPLAY ENGAGEMENT
+     *
+     * Shows how often the user opens recommendations for each mood
+     */
+    displayEngagement(engagement) {
+        const engagementList = document.getElementById('engagementList');
+
+        if (engagement.length === 0) {
+            engagementList.innerHTML = `
+                <div class="empty-state">
+                    <p>Open or preview some recommendations to see which moods hit the spot.</p>
+                </div>
+            `;
+            return;
+        }
+
+        engagementList.innerHTML = engagement.map(rate => `
+            <div class="insight-item">
+                <div class="insight-title">
+                    ${this.escapeHtml(this.capitalizeMood(rate.mood))}: ${Math.round(rate.clickThroughRate * 100)}% click-through
+                </div>
+                <div class="insight-message">
+                    ${rate.tracksClicked} of ${rate.tracksRecommended} tracks opened across ${rate.sessions} sessions • ${rate.previews} previews played
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * DISPLAY LIKED TRACKS
+     *
+     * Lists the user's thumbs-up tracks for each mood
+     */
+    displayLikedTracks(likedTracks) {
+        const likedTracksList = document.getElementById('likedTracksList');
+
+        if (likedTracks.length === 0) {
+            likedTracksList.innerHTML = `
+                <div class="empty-state">
+                    <p>Give tracks a 👍 to collect your favourites for each mood.</p>
+                </div>
+            `;
+            return;
+        }
+
+        likedTracksList.innerHTML = likedTracks.map(group => `
+            <div class="insight-item">
+                <div class="insight-title">
+                    ${this.escapeHtml(this.capitalizeMood(group.mood))} (${group.likeCount} liked)
+                </div>
+                <div class="insight-message">
+                    ${group.tracks.map(track => `${this.escapeHtml(track.trackName || track.trackId)}${track.artists?.length ? ` by ${this.escapeHtml(track.artists.join(', '))}` : ''}`).join('<br>')}
+                </div>
+            </div>
+        `).join('');
     }
 
     capitalizeMood(mood) {
         return mood.charAt(0).toUpperCase() + mood.slice(1);
     }
 
+    /**
+     * FORMAT MOOD LABEL
+     *
+     * Turns a mood or a blend's components ([{ mood, weight }]) into a label,
+     * e.g. "Relaxed" or "Relaxed 70% + Focused 30%"
+     */
+    formatMoodLabel(moodOrBlend) {
+        if (!Array.isArray(moodOrBlend)) {
+            return this.capitalizeMood(moodOrBlend);
+        }
+        if (moodOrBlend.length === 1) {
+            return this.capitalizeMood(moodOrBlend[0].mood);
+        }
+        return moodOrBlend
+            .map(component => `${this.capitalizeMood(component.mood)} ${Math.round(component.weight * 100)}%`)
+            .join(' + ');
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -0,0 +1,327 @@
+/**
+ * MOODIFY CHARTS
+ *
+ * Small SVG charts for the stats panel, drawn by hand so the page needs no
+ * charting library or CDN:
+ * - A stacked daily mood timeline
+ * - A day-of-week x hour-of-day heatmap
+ * - A mood distribution donut
+ *
+ * Each chart replaces the contents of the container it's given and scales
+ * to its width. Hovering a bar, cell or slice shows its numbers.
+ */
+
+const MoodCharts = (() => {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // Built-in moods get fixed colors; custom moods get one picked from their name
+    const MOOD_COLORS = {
+        happy: '#ffd166',
+        sad: '#4f86f7',
+        energetic: '#ff6b35',
+        relaxed: '#06d6a0',
+        focused: '#9b5de5',
+        romantic: '#f15bb5'
+    };
+
+    const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    // Heatmap rows, Monday first (values are day-of-week numbers, 0 = Sunday)
+    const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+    const AXIS_COLOR = 'rgba(255, 255, 255, 0.6)';
+    const GRID_COLOR = 'rgba(255, 255, 255, 0.1)';
+
+    /**
+     * Get the color for a mood
+     */
+    function moodColor(mood) {
+        if (MOOD_COLORS[mood]) return MOOD_COLORS[mood];
+
+        let hash = 0;
+        for (const char of mood) {
+            hash = (hash * 31 + char.charCodeAt(0)) % 360;
+        }
+        return `hsl(${hash}, 70%, 60%)`;
+    }
+
+    /**
+     * Create an SVG element with attributes, and optionally a hover tooltip
+     */
+    function svgElement(name, attributes = {}, tooltip = null) {
+        const element = document.createElementNS(SVG_NS, name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+
+        if (tooltip) {
+            const title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = tooltip;
+            element.appendChild(title);
+        }
+        return element;
+    }
+
+    function text(x, y, content, attributes = {}) {
+        const element = svgElement('text', {
+            x,
+            y,
+            fill: AXIS_COLOR,
+            'font-size': 11,
+            ...attributes
+        });
+        element.textContent = content;
+        return element;
+    }
+
+    function createSvg(width, height, label) {
+        return svgElement('svg', {
+            viewBox: `0 0 ${width} ${height}`,
+            width: '100%',
+            role: 'img',
+            'aria-label': label,
+            class: 'mood-chart'
+        });
+    }
+
+    /**
+     * "2026-10-05" -> "Oct 5"
+     */
+    function formatDay(day) {
+        const [, month, date] = day.split('-').map(Number);
+        return `${MONTHS[month - 1]} ${date}`;
+    }
+
+    function formatHour(hour) {
+        if (hour === 0) return '12 AM';
+        if (hour === 12) return '12 PM';
+        return hour < 12 ? `${hour} AM` : `${hour - 12} PM`;
+    }
+
+    function formatCount(value) {
+        return Number.isInteger(value) ? String(value) : value.toFixed(1);
+    }
+
+    /**
+     * A row of colored keys under a chart
+     * @param {array} items - [{ label, color }]
+     */
+    function legend(items) {
+        const list = document.createElement('div');
+        list.className = 'chart-legend';
+
+        items.forEach(({ label, color }) => {
+            const item = document.createElement('span');
+            item.className = 'chart-legend-item';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'chart-legend-swatch';
+            swatch.style.background = color;
+
+            item.append(swatch, label);
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+
+    /**
+     * STACKED MOOD TIMELINE
+     *
+     * One bar per day, split into a colored segment for each mood
+     *
+     * @param {HTMLElement} container
+     * @param {object} data - {
+     *   days: every day to show, oldest first ("YYYY-MM-DD"),
+     *   moods: the moods to stack, bottom first,
+     *   values: { [day]: { [mood]: sessions } },
+     *   labels: optional { [mood]: display name }
+     * }
+     */
+    function stackedTimeline(container, { days, moods, values, labels = {} }) {
+        const width = 720;
+        const height = 240;
+        const margin = { top: 10, right: 10, bottom: 28, left: 32 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+
+        const totals = days.map(day => moods.reduce((sum, mood) => sum + (values[day]?.[mood] || 0), 0));
+        const maxTotal = Math.max(1, Math.ceil(Math.max(...totals)));
+        const slot = plotWidth / days.length;
+        const barWidth = Math.max(1, slot * 0.8);
+        const y = value => margin.top + plotHeight - (value / maxTotal) * plotHeight;
+
+        const svg = createSvg(width, height, 'Moods logged per day');
+
+        // Gridlines and y-axis labels at 0, half and the max
+        [0, maxTotal / 2, maxTotal].forEach(value => {
+            svg.appendChild(svgElement('line', {
+                x1: margin.left,
+                x2: width - margin.right,
+                y1: y(value),
+                y2: y(value),
+                stroke: GRID_COLOR
+            }));
+            svg.appendChild(text(margin.left - 6, y(value) + 4, formatCount(value), { 'text-anchor': 'end' }));
+        });
+
+        days.forEach((day, i) => {
+            const x = margin.left + i * slot + (slot - barWidth) / 2;
+            let stacked = 0;
+
+            moods.forEach(mood => {
+                const value = values[day]?.[mood] || 0;
+                if (value <= 0) return;
+
+                svg.appendChild(svgElement('rect', {
+                    x,
+                    y: y(stacked + value),
+                    width: barWidth,
+                    height: y(stacked) - y(stacked + value),
+                    fill: moodColor(mood)
+                }, `${formatDay(day)} - ${labels[mood] || mood}: ${formatCount(value)}`));
+                stacked += value;
+            });
+        });
+
+        // About six date labels, whatever the range
+        const labelEvery = Math.max(1, Math.ceil(days.length / 6));
+        days.forEach((day, i) => {
+            if (i % labelEvery !== 0) return;
+            svg.appendChild(text(margin.left + i * slot + slot / 2, height - 8, formatDay(day), { 'text-anchor': 'middle' }));
+        });
+
+        container.replaceChildren(svg, legend(moods.map(mood => ({ label: labels[mood] || mood, color: moodColor(mood) }))));
+    }
+
+    /**
+     * DAY x HOUR HEATMAP
+     *
+     * A row per day of the week (Monday first) and a column per hour,
+     * brighter where more moods were logged
+     *
+     * @param {HTMLElement} container
+     * @param {array} cells - [{ day (0 = Sunday), hour (0-23), count }]
+     */
+    function heatmap(container, cells) {
+        const width = 720;
+        const margin = { top: 20, right: 4, bottom: 4, left: 36 };
+        const cellSize = (width - margin.left - margin.right) / 24;
+        const height = margin.top + margin.bottom + cellSize * 7;
+
+        const counts = new Map(cells.map(({ day, hour, count }) => [`${day}-${hour}`, count]));
+        const maxCount = Math.max(1, ...cells.map(cell => cell.count));
+
+        const svg = createSvg(width, height, 'Moods logged by day of week and hour of day');
+
+        WEEK_ORDER.forEach((day, row) => {
+            const rowY = margin.top + row * cellSize;
+            svg.appendChild(text(margin.left - 6, rowY + cellSize / 2 + 4, WEEKDAYS[day], { 'text-anchor': 'end' }));
+
+            for (let hour = 0; hour < 24; hour++) {
+                const count = counts.get(`${day}-${hour}`) || 0;
+
+                svg.appendChild(svgElement('rect', {
+                    x: margin.left + hour * cellSize + 1,
+                    y: rowY + 1,
+                    width: cellSize - 2,
+                    height: cellSize - 2,
+                    rx: 3,
+                    fill: count > 0
+                        ? `rgba(0, 191, 255, ${(0.15 + 0.85 * (count / maxCount)).toFixed(2)})`
+                        : 'rgba(255, 255, 255, 0.04)'
+                }, `${WEEKDAYS[day]} ${formatHour(hour)}: ${count} mood${count === 1 ? '' : 's'}`));
+            }
+        });
+
+        // Hour labels every three hours
+        for (let hour = 0; hour < 24; hour += 3) {
+            svg.appendChild(text(margin.left + hour * cellSize + cellSize / 2, margin.top - 6, formatHour(hour), {
+                'text-anchor': 'middle',
+                'font-size': 10
+            }));
+        }
+
+        container.replaceChildren(svg);
+    }
+
+    /**
+     * MOOD DONUT
+     *
+     * Each mood's share of the sessions, biggest first
+     *
+     * @param {HTMLElement} container
+     * @param {array} slices - [{ mood, value, label }]
+     */
+    function donut(container, slices) {
+        const size = 220;
+        const center = size / 2;
+        const outer = 100;
+        const inner = 62;
+
+        const sorted = slices.filter(slice => slice.value > 0).sort((a, b) => b.value - a.value);
+        const total = sorted.reduce((sum, slice) => sum + slice.value, 0);
+
+        const svg = createSvg(size, size, 'Mood distribution');
+        svg.setAttribute('width', size);
+
+        const point = (radius, angle) => [
+            center + radius * Math.sin(angle),
+            center - radius * Math.cos(angle)
+        ];
+
+        let angle = 0;
+        sorted.forEach(slice => {
+            const share = slice.value / total;
+            const tooltip = `${slice.label || slice.mood}: ${formatCount(slice.value)} (${Math.round(share * 100)}%)`;
+
+            // A full circle can't be drawn as one arc
+            if (share >= 0.9999) {
+                svg.appendChild(svgElement('circle', {
+                    cx: center,
+                    cy: center,
+                    r: (outer + inner) / 2,
+                    fill: 'none',
+                    stroke: moodColor(slice.mood),
+                    'stroke-width': outer - inner
+                }, tooltip));
+                return;
+            }
+
+            const end = angle + share * 2 * Math.PI;
+            const largeArc = end - angle > Math.PI ? 1 : 0;
+            const [x1, y1] = point(outer, angle);
+            const [x2, y2] = point(outer, end);
+            const [x3, y3] = point(inner, end);
+            const [x4, y4] = point(inner, angle);
+
+            svg.appendChild(svgElement('path', {
+                d: `M ${x1} ${y1} A ${outer} ${outer} 0 ${largeArc} 1 ${x2} ${y2} ` +
+                   `L ${x3} ${y3} A ${inner} ${inner} 0 ${largeArc} 0 ${x4} ${y4} Z`,
+                fill: moodColor(slice.mood),
+                stroke: '#1a1a2e',
+                'stroke-width': 1
+            }, tooltip));
+            angle = end;
+        });
+
+        svg.appendChild(text(center, center + 2, formatCount(total), {
+            'text-anchor': 'middle',
+            'font-size': 28,
+            'font-weight': 700,
+            fill: 'white'
+        }));
+        svg.appendChild(text(center, center + 20, total === 1 ? 'session' : 'sessions', { 'text-anchor': 'middle' }));
+
+        container.replaceChildren(svg, legend(sorted.map(slice => ({
+            label: `${slice.label || slice.mood} ${Math.round((slice.value / total) * 100)}%`,
+            color: moodColor(slice.mood)
+        }))));
+    }
+
+    return {
+        moodColor,
+        stackedTimeline,
+        heatmap,
+        donut
+    };
+})();
@@ -0,0 +1,478 @@
+/**
+ * ACCOUNT DATA ROUTES
+ *
+ * Self-service access to everything Moodify stores about a user:
+ * - GET /api/account/settings - Get the user's settings (time zone)
+ * - PUT /api/account/settings - Update them (the browser reports its time zone here)
+ * - GET /api/account/sessions - List the user's active sessions (devices logged in)
+ * - DELETE /api/account/sessions/:id - Log out one session
+ * - DELETE /api/account/sessions - Log out every session except this one
+ * - GET /api/account/data - Download a complete archive of the user's data
+ * - DELETE /api/account - Permanently delete the user's data and sessions
+ *
+ * Every collection holding per-user records is listed in USER_DATA below,
+ * so the archive and the deletion always cover the same data.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const MoodLog = require('../models/MoodLog');
+const CustomMood = require('../models/CustomMood');
+const TrackFeedback = require('../models/TrackFeedback');
+const Goal = require('../models/Goal');
+const Badge = require('../models/Badge');
+const UserSettings = require('../models/UserSettings');
+const Digest = require('../models/Digest');
+const { requireAuth } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { getProviderName } = require('../providers');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/timezone');
+
+const router = express.Router();
+
+/**
+ * USER DATA
+ *
+ * Each collection that stores records keyed by the user's ID.
+ * Add new per-user models here so they're exported and deleted too.
+ */
+const USER_DATA = [
+  { key: 'moodLogs', model: MoodLog, sort: { timestamp: 1 } },
+  { key: 'customMoods', model: CustomMood, sort: { name: 1 } },
+  { key: 'trackFeedback', model: TrackFeedback, sort: { createdAt: 1 } },
+  { key: 'goals', model: Goal, sort: { startsAt: 1 } },
+  { key: 'badges', model: Badge, sort: { awardedAt: 1 } },
+  { key: 'settings', model: UserSettings, sort: { createdAt: 1 } },
+  { key: 'digests', model: Digest, sort: { periodStart: 1 } }
+];
+
+// What the user must send to confirm they really want their account deleted
+const DELETE_CONFIRMATION = 'DELETE';
+
+/**
+ * Find every stored session belonging to a user, most recently used first.
+ * Uses the store's own lookup when it has one (MongoSessionStore); otherwise
+ * scans all sessions, which needs a store that can list them (like the
+ * default MemoryStore). With a store that can't, only the current session is found.
+ * @returns {Promise<array>} [{ sid, loginAt, lastSeenAt, expires, userAgent }]
+ */
+async function findUserSessions(req, userId) {
+  const store = req.sessionStore;
+  const current = {
+    sid: req.sessionID,
+    loginAt: req.session.loginAt ? new Date(req.session.loginAt) : null,
+    lastSeenAt: new Date(),
+    expires: req.session.cookie?.expires || null,
+    userAgent: req.session.userAgent || null
+  };
+
+  let sessions;
+
+  if (store && typeof store.findUserSessions === 'function') {
+    sessions = await store.findUserSessions(userId);
+  } else if (store && typeof store.all === 'function') {
+    sessions = await new Promise((resolve, reject) => {
+      store.all((err, all) => {
+        if (err) return reject(err);
+
+        // MemoryStore returns an object keyed by session ID, other stores an array
+        const entries = Array.isArray(all)
+          ? all.map(session => [session.id || session._id, session])
+          : Object.entries(all || {});
+
+        resolve(entries
+          .filter(([, session]) => session?.user?.id === userId)
+          .map(([sid, session]) => ({
+            sid,
+            loginAt: session.loginAt ? new Date(session.loginAt) : null,
+            lastSeenAt: null,
+            expires: session.cookie?.expires ? new Date(session.cookie.expires) : null,
+            userAgent: session.userAgent || null
+          })));
+      });
+    });
+  } else {
+    sessions = [];
+  }
+
+  // The current session is always included, with its live details
+  return [current, ...sessions.filter(session => session.sid !== req.sessionID)];
+}
+
+/**
+ * A public handle for a session. The session ID itself is as good as a
+ * password, so it's never sent back - only a hash of it.
+ */
+function sessionHandle(sid) {
+  return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 16);
+}
+
+/**
+ * Format a session for API responses
+ */
+function formatSession(session, req) {
+  return {
+    id: sessionHandle(session.sid),
+    current: session.sid === req.sessionID,
+    userAgent: session.userAgent,
+    loginAt: session.loginAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expires
+  };
+}
+
+/**
+ * Destroy one stored session
+ */
+function destroySession(store, sessionId) {
+  return new Promise((resolve, reject) => {
+    store.destroy(sessionId, err => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * GET SETTINGS
+ * GET /api/account/settings
+ *
+ * `timezone` is null until the user's browser has reported it; until then
+ * analytics use the server's time zone (`effectiveTimezone`).
+ */
+router.get('/settings', requireAuth, async (req, res) => {
+  try {
+    const timezone = await UserSettings.findTimezone(req.session.user?.id);
+
+    res.json({
+      success: true,
+      data: {
+        timezone,
+        effectiveTimezone: timezone || DEFAULT_TIMEZONE
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching settings', { error });
+    res.status(500).json({
+      error: 'Failed to fetch settings',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * UPDATE SETTINGS
+ * PUT /api/account/settings
+ *
+ * Body: { timezone } - an IANA time zone like "Asia/Tokyo"
+ *
+ * The frontend sends the browser's time zone on every visit. Mood logs
+ * saved before we knew it are backfilled: they're given this time zone
+ * and their day of week and hour of day are recomputed in it.
+ */
+router.put('/settings', requireAuth, async (req, res) => {
+  const userId = req.session.user?.id;
+  const { timezone } = req.body;
+
+  if (!userId) {
+    return res.status(400).json({
+      error: 'User not found',
+      message: 'User ID not available in session'
+    });
+  }
+
+  if (!isValidTimeZone(timezone)) {
+    return res.status(400).json({
+      error: 'Validation error',
+      message: 'timezone must be an IANA time zone, e.g. "Europe/London"'
+    });
+  }
+
+  try {
+    const previous = await UserSettings.findTimezone(userId);
+
+    if (previous !== timezone) {
+      await UserSettings.findOneAndUpdate(
+        { userId },
+        { $set: { timezone } },
+        { upsert: true, runValidators: true }
+      );
+      logger.info('Time zone updated', { userId, previous, timezone });
+    }
+
+    const backfilled = await MoodLog.backfillTimezone(userId, timezone);
+    if (backfilled > 0) {
+      logger.info('Backfilled time zone on mood logs', { userId, timezone, moodLogs: backfilled });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        timezone,
+        effectiveTimezone: timezone,
+        backfilledLogs: backfilled
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error updating settings', { error });
+    res.status(500).json({
+      error: 'Failed to update settings',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * LIST SESSIONS
+ * GET /api/account/sessions
+ *
+ * Every session the user is logged in with, most recently used first.
+ * Each has an `id` handle for revoking it - not the session ID itself.
+ */
+router.get('/sessions', requireAuth, async (req, res) => {
+  const userId = req.session.user?.id;
+
+  if (!userId) {
+    return res.status(400).json({
+      error: 'User not found',
+      message: 'User ID not available in session'
+    });
+  }
+
+  try {
+    const sessions = await findUserSessions(req, userId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => formatSession(session, req)),
+        count: sessions.length
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listing sessions', { error });
+    res.status(500).json({
+      error: 'Failed to list sessions',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * REVOKE OTHER SESSIONS
+ * DELETE /api/account/sessions
+ *
+ * Logs the user out everywhere except the session making the request.
+ */
+router.delete('/sessions', requireAuth, async (req, res) => {
+  const userId = req.session.user?.id;
+
+  if (!userId) {
+    return res.status(400).json({
+      error: 'User not found',
+      message: 'User ID not available in session'
+    });
+  }
+
+  try {
+    const others = (await findUserSessions(req, userId)).filter(session => session.sid !== req.sessionID);
+    await Promise.all(others.map(session => destroySession(req.sessionStore, session.sid)));
+
+    logger.info('Revoked other sessions', { userId, revoked: others.length });
+
+    res.json({
+      success: true,
+      message: others.length === 1 ? 'Logged out of 1 other session' : `Logged out of ${others.length} other sessions`,
+      data: { revoked: others.length }
+    });
+
+  } catch (error) {
+    logger.error('Error revoking sessions', { error });
+    res.status(500).json({
+      error: 'Failed to revoke sessions',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * REVOKE ONE SESSION
+ * DELETE /api/account/sessions/:id
+ *
+ * `id` is a session's handle from GET /api/account/sessions. Revoking the
+ * current session logs the user out, like /logout.
+ */
+router.delete('/sessions/:id', requireAuth, async (req, res) => {
+  const userId = req.session.user?.id;
+
+  if (!userId) {
+    return res.status(400).json({
+      error: 'User not found',
+      message: 'User ID not available in session'
+    });
+  }
+
+  try {
+    const session = (await findUserSessions(req, userId))
+      .find(candidate => sessionHandle(candidate.sid) === req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'None of your sessions has that ID'
+      });
+    }
+
+    const current = session.sid === req.sessionID;
+
+    if (current) {
+      await new Promise((resolve, reject) => req.session.destroy(err => (err ? reject(err) : resolve())));
+      res.clearCookie('moodify.sid');
+    } else {
+      await destroySession(req.sessionStore, session.sid);
+    }
+
+    logger.info('Revoked session', { userId, current });
+
+    res.json({
+      success: true,
+      message: current ? 'Logged out' : 'Session logged out',
+      data: { id: req.params.id, current }
+    });
+
+  } catch (error) {
+    logger.error('Error revoking session', { error });
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DOWNLOAD MY DATA
+ * GET /api/account/data
+ *
+ * Returns a JSON archive of everything stored about the logged-in user:
+ * their Spotify profile, session details (never the tokens themselves),
+ * their active sessions, and every record in the USER_DATA collections.
+ */
+router.get('/data', requireAuth, async (req, res) => {
+  const userId = req.session.user?.id;
+
+  if (!userId) {
+    return res.status(400).json({
+      error: 'User not found',
+      message: 'User ID not available in session'
+    });
+  }
+
+  try {
+    const [records, sessions] = await Promise.all([
+      Promise.all(USER_DATA.map(({ model, sort }) => model.find({ userId }).sort(sort).lean())),
+      findUserSessions(req, userId)
+    ]);
+
+    const archive = {
+      exportedAt: new Date().toISOString(),
+      userId,
+      profile: req.session.user,
+      session: {
+        provider: getProviderName(),
+        tokenExpiresAt: req.session.token_expires_at ? new Date(req.session.token_expires_at).toISOString() : null,
+        cookieExpiresAt: req.session.cookie?.expires || null,
+        // Tokens are stored, but they're credentials, so the archive only says whether they exist
+        hasAccessToken: Boolean(req.session.access_token),
+        hasRefreshToken: Boolean(req.session.refresh_token)
+      },
+      activeSessions: sessions.map(session => formatSession(session, req)),
+      ...Object.fromEntries(USER_DATA.map(({ key }, i) => [key, records[i]]))
+    };
+
+    logger.info('Data archive exported', { userId });
+
+    res.set('Content-Disposition', `attachment; filename="moodify-data-${new Date().toISOString().slice(0, 10)}.json"`);
+    res.json(archive);
+
+  } catch (error) {
+    logger.error('Error exporting account data', { error });
+    res.status(500).json({
+      error: 'Failed to export account data',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE ACCOUNT
+ * DELETE /api/account
+ *
+ * Body: { confirm: "DELETE" }
+ *
+ * Permanently removes all of the user's records, then destroys every one
+ * of their sessions (logging them out everywhere). Moodify doesn't store
+ * accounts separately, so this is everything - but it can't touch data
+ * held by Spotify itself, like playlists Moodify created.
+ *
+ * Returns a deletion receipt with what was removed.
+ */
+router.delete('/', requireAuth, async (req, res) => {
+  const userId = req.session.user?.id;
+
+  if (!userId) {
+    return res.status(400).json({
+      error: 'User not found',
+      message: 'User ID not available in session'
+    });
+  }
+
+  if (req.body?.confirm !== DELETE_CONFIRMATION) {
+    return res.status(400).json({
+      error: 'Confirmation required',
+      message: `Send { "confirm": "${DELETE_CONFIRMATION}" } to permanently delete your account and all of your data`
+    });
+  }
+
+  try {
+    const results = await Promise.all(
+      USER_DATA.map(({ model }) => model.deleteMany({ userId }))
+    );
+    const deleted = Object.fromEntries(USER_DATA.map(({ key }, i) => [key, results[i].deletedCount]));
+
+    // Log the user out everywhere. The current session is destroyed last,
+    // after we've read everything we need from it.
+    const sessionIds = (await findUserSessions(req, userId)).map(session => session.sid);
+    await Promise.all(
+      sessionIds
+        .filter(id => id !== req.sessionID)
+        .map(id => destroySession(req.sessionStore, id))
+    );
+    await new Promise((resolve, reject) => req.session.destroy(err => (err ? reject(err) : resolve())));
+    deleted.sessions = sessionIds.length;
+
+    const receipt = {
+      receiptId: crypto.randomUUID(),
+      userId,
+      deletedAt: new Date().toISOString(),
+      deleted
+    };
+
+    logger.info('Account deleted', { userId, deleted, receiptId: receipt.receiptId });
+
+    res.clearCookie('moodify.sid');
+    res.json({
+      success: true,
+      message: 'Your account and all of your data have been deleted',
+      data: { receipt }
+    });
+
+  } catch (error) {
+    logger.error('Error deleting account', { error });
+    res.status(500).json({
+      error: 'Failed to delete account',
+      message: 'Internal server error - some data may remain, please try again'
+    });
+  }
+});
+
+module.exports = router;
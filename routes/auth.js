@@ -7,55 +7,96 @@
  * 3. /logout - Clears user session
  * 4. /auth/status - Checks if user is currently logged in
  *
- * OAuth Flow Explanation:
+ * OAuth Flow Explanation (Authorization Code with PKCE):
  * 1. User clicks "Login with Spotify"
- * 2. We redirect them to Spotify with our app credentials
+ * 2. We make a secret code verifier, keep it in the session, and redirect
+ *    them to Spotify with our app ID and a hash of it (the code challenge)
  * 3. User authorizes our app on Spotify's website
  * 4. Spotify redirects back to our /callback with an authorization code
- * 5. We exchange that code for an access token
+ * 5. We exchange that code plus the verifier for an access token, so a
+ *    stolen code is useless on its own
  * 6. We store the token in the user's session
  * 7. Now we can make API calls on behalf of the user
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const querystring = require('querystring');  // For building URL parameters
-const axios = require('axios');               // For making HTTP requests to Spotify
 const spotifyConfig = require('../config/spotify');
+const { ensureFreshToken, timedSpotifyCall } = require('../middleware/auth');  // Token checks + timed Spotify requests
+const { logger } = require('../utils/logger');
+const { getMusicProvider } = require('../providers');
+
+// How long an offline (fixture provider) login lasts - matches the session cookie
+const OFFLINE_SESSION_MS = 24 * 60 * 60 * 1000;
 
 const router = express.Router();
 
+// Length of the PKCE code verifier (Spotify accepts 43-128 characters)
+const CODE_VERIFIER_LENGTH = 64;
+
 /**
- * SECURITY: Generate a random string for state parameter
+ * SECURITY: Generate an unguessable random string
  *
- * The "state" parameter prevents CSRF attacks by ensuring the callback
- * we receive is actually from the login request we initiated.
+ * Used for the "state" parameter, which prevents CSRF attacks by ensuring
+ * the callback we receive is actually from the login request we initiated,
+ * and for the PKCE code verifier. Both come from a cryptographically secure
+ * random source, never Math.random().
+ * @returns {string} Letters, digits, "-" and "_" (all allowed in a code verifier)
  */
 function generateRandomString(length) {
-  let text = '';
-  const possible = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  return crypto.randomBytes(Math.ceil(length * 3 / 4)).toString('base64url').slice(0, length);
+}
 
-  for (let i = 0; i < length; i++) {
-    text += possible.charAt(Math.floor(Math.random() * possible.length));
-  }
-  return text;
+/**
+ * PKCE: The code challenge sent to Spotify for a code verifier
+ * (its SHA-256 hash, base64url-encoded)
+ */
+function generateCodeChallenge(verifier) {
+  return crypto.createHash('sha256').update(verifier).digest('base64url');
 }
 
 /**
  * LOGIN ROUTE: /login
  *
  * This starts the OAuth flow by redirecting the user to Spotify's authorization page.
+ * With an offline music provider there's no Spotify to visit, so we sign
+ * the user in locally instead.
  *
  * What happens here:
- * 1. Generate a random "state" parameter for security
- * 2. Store the state in the user's session
- * 3. Build the Spotify authorization URL with our app details
+ * 1. Generate a random "state" parameter and PKCE code verifier
+ * 2. Store both in the user's session
+ * 3. Build the Spotify authorization URL with our app details and the code challenge
  * 4. Redirect the user to Spotify
  */
-router.get('/login', (req, res) => {
+router.get('/login', async (req, res) => {
+  const provider = getMusicProvider(req);
+
+  // Offline providers have no OAuth server, so sign the user straight in
+  if (!provider.usesOAuth) {
+    try {
+      req.session.access_token = `${provider.name}-offline`;
+      req.session.refresh_token = null;
+      req.session.token_expires_at = Date.now() + OFFLINE_SESSION_MS;
+      req.session.user = await provider.getProfile();
+      recordLogin(req);
+      return res.redirect('/?authenticated=true');
+    } catch (error) {
+      logger.error('Error during offline login', { error });
+      return res.redirect('/#' + querystring.stringify({
+        error: 'invalid_token'
+      }));
+    }
+  }
+
   // Generate random state for CSRF protection
   const state = generateRandomString(16);
   req.session.state = state;  // Store in session to verify later
 
+  // PKCE: the verifier stays with us, Spotify only sees its hash
+  const codeVerifier = generateRandomString(CODE_VERIFIER_LENGTH);
+  req.session.code_verifier = codeVerifier;
+
   // Convert our scopes array to a space-separated string
   const scope = spotifyConfig.scopes.join(' ');
 
@@ -65,13 +106,26 @@ router.get('/login', (req, res) => {
     client_id: spotifyConfig.clientId,        // Our app's public ID
     scope: scope,                             // What permissions we're requesting
     redirect_uri: spotifyConfig.redirectUri,  // Where to send user after login
-    state: state                              // Security parameter
+    state: state,                             // Security parameter
+    code_challenge_method: 'S256',            // PKCE: challenge is a SHA-256 hash
+    code_challenge: generateCodeChallenge(codeVerifier)
   });
 
   // Send user to Spotify's login page
   res.redirect(authUrl);
 });
 
+/**
+ * Note when and from which browser the user logged in,
+ * so they can tell their sessions apart (GET /api/account/sessions)
+ */
+function recordLogin(req) {
+  req.session.loginAt = Date.now();
+  req.session.userAgent = req.get('User-Agent') || null;
+
+  logger.info('User logged in', { userId: req.session.user?.id });
+}
+
 /**
  * Callback route - handles Spotify OAuth callback
  */
@@ -79,14 +133,17 @@ router.get('/callback', async (req, res) => {
   const code = req.query.code || null;
   const state = req.query.state || null;
   const storedState = req.session.state || null;
+  const codeVerifier = req.session.code_verifier || null;
 
-  if (state == null || state !== storedState) {
+  if (state == null || state !== storedState || codeVerifier == null) {
     return res.redirect('/#' + querystring.stringify({
       error: 'state_mismatch'
     }));
   }
 
+  // Both are single-use
   req.session.state = null;
+  req.session.code_verifier = null;
 
   if (code == null) {
     return res.redirect('/#' + querystring.stringify({
@@ -95,21 +152,25 @@ router.get('/callback', async (req, res) => {
   }
 
   try {
+    const credentials = spotifyConfig.clientCredentials();
+
     const authOptions = {
       method: 'post',
       url: spotifyConfig.tokenUrl,
       data: querystring.stringify({
         code: code,
         redirect_uri: spotifyConfig.redirectUri,
-        grant_type: 'authorization_code'
+        grant_type: 'authorization_code',
+        code_verifier: codeVerifier,          // PKCE: proves we started this login
+        ...credentials.params
       }),
       headers: {
-        'Authorization': 'Basic ' + Buffer.from(spotifyConfig.clientId + ':' + spotifyConfig.clientSecret).toString('base64'),
+        ...credentials.headers,
         'Content-Type': 'application/x-www-form-urlencoded'
       }
     };
 
-    const response = await axios(authOptions);
+    const response = await timedSpotifyCall(authOptions);
     const { access_token, refresh_token, expires_in } = response.data;
 
     // Store tokens in session
@@ -118,17 +179,12 @@ router.get('/callback', async (req, res) => {
     req.session.token_expires_at = Date.now() + (expires_in * 1000);
 
     // Get user profile
-    const userResponse = await axios.get(`${spotifyConfig.apiBaseUrl}/me`, {
-      headers: {
-        'Authorization': `Bearer ${access_token}`
-      }
-    });
-
-    req.session.user = userResponse.data;
+    req.session.user = await getMusicProvider(req).getProfile();
+    recordLogin(req);
 
     res.redirect('/?authenticated=true');
   } catch (error) {
-    console.error('Error during token exchange:', error.response?.data || error.message);
+    logger.error('Error during token exchange', { error });
     res.redirect('/#' + querystring.stringify({
       error: 'invalid_token'
     }));
@@ -141,7 +197,7 @@ router.get('/callback', async (req, res) => {
 router.get('/logout', (req, res) => {
   req.session.destroy((err) => {
     if (err) {
-      console.error('Error destroying session:', err);
+      logger.error('Error destroying session', { error: err });
     }
     res.redirect('/');
   });
@@ -149,13 +205,17 @@ router.get('/logout', (req, res) => {
 
 /**
  * Check authentication status
+ *
+ * Refreshes an expired access token first, so users with a valid
+ * refresh token are reported as still logged in.
  */
-router.get('/auth/status', (req, res) => {
-  const isAuthenticated = !!(req.session.access_token && req.session.token_expires_at > Date.now());
-  
+router.get('/auth/status', async (req, res) => {
+  const isAuthenticated = await ensureFreshToken(req);
+
   res.json({
     authenticated: isAuthenticated,
-    user: isAuthenticated ? req.session.user : null
+    user: isAuthenticated ? req.session.user : null,
+    expiresAt: isAuthenticated ? req.session.token_expires_at : null
   });
 });
 
@@ -0,0 +1,218 @@
+/**
+ * CUSTOM MOOD ROUTES
+ *
+ * Lets users define their own moods on top of the six built-in ones:
+ * - GET /api/mood/custom - List the user's custom moods
+ * - POST /api/mood/custom - Create a custom mood
+ * - PUT /api/mood/custom/:name - Update a custom mood
+ * - DELETE /api/mood/custom/:name - Delete a custom mood
+ *
+ * Once created, a custom mood works everywhere a built-in mood does:
+ * recommendations, mood logging, history filters and stats.
+ */
+
+const express = require('express');
+const CustomMood = require('../models/CustomMood');
+const { normalizeMoodName } = require('../config/moodMapper');
+const { requireAuth } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Format a custom mood for API responses
+ */
+function formatCustomMood(customMood) {
+  const features = customMood.features instanceof Map
+    ? Object.fromEntries(customMood.features)
+    : customMood.features;
+
+  return {
+    id: customMood._id,
+    name: customMood.name,
+    features,
+    searchQueries: customMood.searchQueries,
+    description: customMood.description,
+    emoji: customMood.emoji,
+    createdAt: customMood.createdAt,
+    updatedAt: customMood.updatedAt
+  };
+}
+
+/**
+ * Turn Mongoose save errors into API responses
+ */
+function handleSaveError(error, res, failureMessage) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation error',
+      message: error.message,
+      details: error.errors
+    });
+  }
+
+  // Unique index on (userId, name)
+  if (error.code === 11000) {
+    return res.status(409).json({
+      error: 'Mood already exists',
+      message: 'You already have a custom mood with that name'
+    });
+  }
+
+  logger.error(failureMessage, { error });
+  res.status(500).json({
+    error: failureMessage,
+    message: 'Internal server error'
+  });
+}
+
+/**
+ * LIST CUSTOM MOODS
+ * GET /api/mood/custom
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const customMoods = await CustomMood.findForUser(req.session.user?.id);
+
+    res.json({
+      success: true,
+      data: {
+        customMoods: customMoods.map(formatCustomMood)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching custom moods', { error });
+    res.status(500).json({
+      error: 'Failed to fetch custom moods',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * CREATE CUSTOM MOOD
+ * POST /api/mood/custom
+ *
+ * Body: { name, features, searchQueries, description, emoji }
+ * If no search queries are given, "<name> music" is used.
+ */
+router.post('/', requireAuth, async (req, res) => {
+  const { name, features, searchQueries, description, emoji } = req.body;
+  const userId = req.session.user?.id;
+
+  if (!name || !features) {
+    return res.status(400).json({
+      error: 'Missing required field',
+      message: 'Name and features are required'
+    });
+  }
+
+  if (!userId) {
+    return res.status(400).json({
+      error: 'User not found',
+      message: 'User ID not available in session'
+    });
+  }
+
+  try {
+    const normalizedName = normalizeMoodName(name);
+    const customMood = new CustomMood({
+      userId,
+      name: normalizedName,
+      features,
+      searchQueries: searchQueries?.length ? searchQueries : [`${normalizedName} music`],
+      description,
+      emoji
+    });
+
+    await customMood.save();
+
+    logger.info('Custom mood created', { userId, customMood: customMood.name });
+
+    res.status(201).json({
+      success: true,
+      message: 'Custom mood created successfully',
+      data: formatCustomMood(customMood)
+    });
+
+  } catch (error) {
+    handleSaveError(error, res, 'Failed to create custom mood');
+  }
+});
+
+/**
+ * UPDATE CUSTOM MOOD
+ * PUT /api/mood/custom/:name
+ *
+ * Updates any of features, searchQueries, description and emoji.
+ * Moods can't be renamed, because past mood logs refer to them by name.
+ */
+router.put('/:name', requireAuth, async (req, res) => {
+  try {
+    const customMood = await CustomMood.findOne({
+      userId: req.session.user?.id,
+      name: normalizeMoodName(req.params.name)
+    });
+
+    if (!customMood) {
+      return res.status(404).json({
+        error: 'Mood not found',
+        message: `You don't have a custom mood called "${req.params.name}"`
+      });
+    }
+
+    ['features', 'searchQueries', 'description', 'emoji'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        customMood[field] = req.body[field];
+      }
+    });
+
+    await customMood.save();
+
+    res.json({
+      success: true,
+      message: 'Custom mood updated successfully',
+      data: formatCustomMood(customMood)
+    });
+
+  } catch (error) {
+    handleSaveError(error, res, 'Failed to update custom mood');
+  }
+});
+
+/**
+ * DELETE CUSTOM MOOD
+ * DELETE /api/mood/custom/:name
+ *
+ * Past mood logs for the mood are kept, so history and stats still show them.
+ */
+router.delete('/:name', requireAuth, async (req, res) => {
+  try {
+    const customMood = await CustomMood.findOneAndDelete({
+      userId: req.session.user?.id,
+      name: normalizeMoodName(req.params.name)
+    });
+
+    if (!customMood) {
+      return res.status(404).json({
+        error: 'Mood not found',
+        message: `You don't have a custom mood called "${req.params.name}"`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Custom mood deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting custom mood', { error });
+    res.status(500).json({
+      error: 'Failed to delete custom mood',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,250 @@
+/**
+ * DIGEST ROUTES
+ *
+ * Weekly and monthly mood digest reports:
+ * - GET /api/mood/digests/preferences - Whether the user gets digests, and where
+ * - PUT /api/mood/digests/preferences - Opt in or out, pick a frequency and email
+ * - GET /api/mood/digests - Past digests, newest first
+ * - GET /api/mood/digests/:id - One digest
+ *
+ * Digests themselves are built in the background by the digest scheduler
+ * (utils/digestScheduler.js) once each week or month is over.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Digest = require('../models/Digest');
+const UserSettings = require('../models/UserSettings');
+const { isMailConfigured } = require('../config/mailer');
+const { describeChange, describePeriod } = require('../utils/digests');
+const { requireAuth } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Most digests returned in one request
+const MAX_DIGESTS = 52;
+
+/**
+ * Format a digest for API responses
+ */
+function formatDigest(digest) {
+  return {
+    id: digest._id,
+    period: digest.period,
+    title: describePeriod(digest),
+    periodStart: digest.periodStart,
+    periodEnd: digest.periodEnd,
+    timezone: digest.timezone,
+    totalLogs: digest.totalLogs,
+    previousTotalLogs: digest.previousTotalLogs,
+    change: describeChange(digest.totalLogs, digest.previousTotalLogs),
+    daysLogged: digest.daysLogged,
+    topMoods: digest.topMoods.map(mood => ({
+      ...mood,
+      change: describeChange(mood.count, mood.previousCount)
+    })),
+    droppedMoods: digest.droppedMoods,
+    streaks: digest.streaks,
+    topTracks: digest.topTracks,
+    delivery: {
+      status: digest.delivery?.status,
+      email: digest.delivery?.email || null,
+      sentAt: digest.delivery?.sentAt || null
+    },
+    createdAt: digest.createdAt
+  };
+}
+
+/**
+ * Format digest preferences for API responses
+ */
+function formatPreferences(settings, req) {
+  return {
+    frequency: settings?.digest?.frequency || 'off',
+    email: settings?.digest?.email || null,
+    subscribedAt: settings?.digest?.subscribedAt || null,
+    // Suggested address when the user hasn't picked one
+    accountEmail: req.session.user?.email || null,
+    frequencies: Object.keys(UserSettings.DIGEST_FREQUENCIES),
+    emailConfigured: isMailConfigured()
+  };
+}
+
+/**
+ * GET DIGEST PREFERENCES
+ * GET /api/mood/digests/preferences
+ */
+router.get('/preferences', requireAuth, async (req, res) => {
+  try {
+    const settings = await UserSettings.findOne({ userId: req.session.user?.id }).select('digest').lean();
+
+    res.json({
+      success: true,
+      data: formatPreferences(settings, req)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching digest preferences', { error });
+    res.status(500).json({
+      error: 'Failed to fetch digest preferences',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * UPDATE DIGEST PREFERENCES
+ * PUT /api/mood/digests/preferences
+ *
+ * Body: { frequency, email }
+ * - frequency: "off", "weekly", "monthly" or "both"
+ * - email: optional - defaults to the email on the user's Spotify account
+ *
+ * The first digest covers the first week or month that ends after opting in.
+ */
+router.put('/preferences', requireAuth, async (req, res) => {
+  const userId = req.session.user?.id;
+  const { frequency } = req.body;
+
+  if (!userId) {
+    return res.status(400).json({
+      error: 'User not found',
+      message: 'User ID not available in session'
+    });
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(UserSettings.DIGEST_FREQUENCIES, frequency)) {
+    return res.status(400).json({
+      error: 'Validation error',
+      message: `frequency must be one of ${Object.keys(UserSettings.DIGEST_FREQUENCIES).join(', ')}`
+    });
+  }
+
+  try {
+    const current = await UserSettings.findOne({ userId }).select('digest').lean();
+    const email = req.body.email || current?.digest?.email || req.session.user?.email;
+
+    if (frequency !== 'off' && !email) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'An email address is needed to get digests'
+      });
+    }
+
+    const update = { 'digest.frequency': frequency };
+    if (email) update['digest.email'] = email;
+
+    // Opting in (again) starts from now
+    const wasOff = (current?.digest?.frequency || 'off') === 'off';
+    if (frequency !== 'off' && wasOff) update['digest.subscribedAt'] = new Date();
+
+    const settings = await UserSettings.findOneAndUpdate(
+      { userId },
+      { $set: update },
+      { upsert: true, new: true, runValidators: true }
+    ).select('digest').lean();
+
+    logger.info('Digest preferences updated', { userId, frequency });
+
+    res.json({
+      success: true,
+      message: frequency === 'off' ? 'Digests turned off' : `You'll get ${frequency} digests`,
+      data: formatPreferences(settings, req)
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: error.message,
+        details: error.errors
+      });
+    }
+
+    logger.error('Error updating digest preferences', { error });
+    res.status(500).json({
+      error: 'Failed to update digest preferences',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * LIST DIGESTS
+ * GET /api/mood/digests
+ *
+ * Query parameters:
+ * - period: "week" or "month" (optional - both by default)
+ * - limit: how many to return (default 12, max 52)
+ */
+router.get('/', requireAuth, async (req, res) => {
+  const { period } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 12, MAX_DIGESTS);
+
+  if (period && !['week', 'month'].includes(period)) {
+    return res.status(400).json({
+      error: 'Validation error',
+      message: 'period must be week or month'
+    });
+  }
+
+  try {
+    const digests = await Digest.findForUser(req.session.user?.id, { period, limit: Math.max(limit, 1) });
+
+    res.json({
+      success: true,
+      data: {
+        digests: digests.map(formatDigest),
+        count: digests.length
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching digests', { error });
+    res.status(500).json({
+      error: 'Failed to fetch digests',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET ONE DIGEST
+ * GET /api/mood/digests/:id
+ */
+router.get('/:id', requireAuth, async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({
+      error: 'Invalid digest ID',
+      message: 'The digest ID is not valid'
+    });
+  }
+
+  try {
+    const digest = await Digest.findOne({ _id: id, userId: req.session.user?.id }).lean();
+
+    if (!digest) {
+      return res.status(404).json({
+        error: 'Digest not found',
+        message: 'No digest of yours has that ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatDigest(digest)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching digest', { error });
+    res.status(500).json({
+      error: 'Failed to fetch digest',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
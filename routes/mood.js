@@ -3,8 +3,14 @@
  *
  * This file handles all mood tracking and history API endpoints:
  * - POST /api/mood/log - Log a new mood selection
+ * - PATCH /api/mood/log/:id - Add or edit a log's journal entry (note, intensity, tags)
+ * - POST /api/mood/log/:id/engagement - Record a click or preview on a logged track
+ * - POST /api/mood/classify - Work out which moods a free-text description means
  * - GET /api/mood/history/:userId - Get user's mood history
+ * - GET /api/mood/export/:userId - Download mood history as CSV, NDJSON or iCalendar
+ * - POST /api/mood/import - Bulk import past mood logs from CSV or JSON
  * - GET /api/mood/stats/:userId - Get user's mood statistics and insights
+ * - GET /api/mood/suggestion/:userId - Suggest moods for right now from the user's history
  *
  * Features:
  * - Automatic mood logging when users select moods
@@ -14,26 +20,22 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const MoodLog = require('../models/MoodLog');
+const CustomMood = require('../models/CustomMood');
+const TrackFeedback = require('../models/TrackFeedback');
+const UserSettings = require('../models/UserSettings');
+const { getSupportedMoods, getMoodDetails, isBuiltInMood, normalizeMoodName, parseMoodBlend } = require('../config/moodMapper');
+const { requireAuth } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { exportFormats, parseImportFile, toImportEntry } = require('../utils/moodLogFormats');
+const { MAX_TEXT_LENGTH, classifyMoodText } = require('../utils/moodClassifier');
+const { predictMoods } = require('../utils/moodPredictor');
+const { analyzeTransitions, formatGap } = require('../utils/moodTransitions');
+const { startOfDay, getRecentDays, getTimeOfDayLabel } = require('../utils/timezone');
 
 const router = express.Router();
 
-/**
- * AUTHENTICATION MIDDLEWARE
- *
- * Ensures user is logged in before accessing mood tracking features
- */
-function requireAuth(req, res, next) {
-  if (!req.session.access_token || req.session.token_expires_at <= Date.now()) {
-    return res.status(401).json({
-      error: 'Authentication required',
-      message: 'Please login with Spotify first',
-      loginUrl: '/login'
-    });
-  }
-  next();
-}
-
 /**
  * LOG MOOD SELECTION
  * POST /api/mood/log
@@ -43,7 +45,7 @@ function requireAuth(req, res, next) {
  */
 router.post('/log', requireAuth, async (req, res) => {
   try {
-    const { mood, playlistUsed, recommendedTracks, sessionData } = req.body;
+    const { mood, recommendedTracks, sessionData, note, intensity, tags } = req.body;
     const userId = req.session.user?.id;
 
     // Validate required fields
@@ -61,24 +63,57 @@ router.post('/log', requireAuth, async (req, res) => {
       });
     }
 
-    // Create new mood log entry
+    // The mood may be a weighted blend like "relaxed:0.7,focused:0.3"
+    let moodComponents;
+    try {
+      moodComponents = parseMoodBlend(mood);
+    } catch (parseError) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: parseError.message
+      });
+    }
+
+    // Every mood must be built-in or one of this user's custom moods
+    const customMoods = moodComponents.every(component => isBuiltInMood(component.mood))
+      ? []
+      : await CustomMood.findForUser(userId);
+    const supportedMoods = getSupportedMoods(customMoods);
+    const unsupported = moodComponents.find(component => !supportedMoods.includes(component.mood));
+    if (unsupported) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Unsupported mood: ${unsupported.mood}`,
+        supportedMoods
+      });
+    }
+
+    // Create new mood log entry (blends are filed under their heaviest mood).
+    // Its day and hour are worked out in the user's time zone - if we don't
+    // know it yet, the log is backfilled once we do.
     const moodLog = new MoodLog({
       userId,
-      mood: mood.toLowerCase().trim(),
-      playlistUsed,
+      timezone: (await UserSettings.findTimezone(userId)) || undefined,
+      mood: moodComponents[0].mood,
+      blend: moodComponents.length > 1 ? moodComponents : [],
       recommendedTracks: recommendedTracks || [],
+      // Optional journal entry
+      note,
+      intensity,
+      tags,
       sessionData: {
-        trackCount: recommendedTracks?.length || 0,
-        tracksClicked: sessionData?.tracksClicked || 0,
         userAgent: req.get('User-Agent'),
-        ...sessionData
+        ...sessionData,
+        trackCount: recommendedTracks?.length || 0,
+        // Clicks are counted by POST /api/mood/log/:id/engagement, never sent up front
+        tracksClicked: 0
       }
     });
 
     // Save to database
     await moodLog.save();
 
-    console.log(`📊 Mood logged: ${userId} selected "${mood}" at ${new Date().toISOString()}`);
+    logger.info('Mood logged', { userId, mood });
 
     res.status(201).json({
       success: true,
@@ -86,13 +121,17 @@ router.post('/log', requireAuth, async (req, res) => {
       data: {
         id: moodLog._id,
         mood: moodLog.mood,
+        blend: moodLog.blend,
+        note: moodLog.note,
+        intensity: moodLog.intensity,
+        tags: moodLog.tags,
         timestamp: moodLog.timestamp,
         description: moodLog.getDescription()
       }
     });
 
   } catch (error) {
-    console.error('❌ Error logging mood:', error);
+    logger.error('Error logging mood', { error });
     
     if (error.name === 'ValidationError') {
       return res.status(400).json({
@@ -109,17 +148,235 @@ router.post('/log', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * UPDATE JOURNAL ENTRY
+ * PATCH /api/mood/log/:id
+ *
+ * The frontend logs a mood as soon as recommendations load, so the journal
+ * form fills in the details afterwards.
+ *
+ * Body: any of { note, intensity, tags } - send null to clear a field
+ */
+router.patch('/log/:id', requireAuth, async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({
+      error: 'Invalid mood log ID',
+      message: 'The mood log ID is not valid'
+    });
+  }
+
+  const journalFields = ['note', 'intensity', 'tags'].filter(field => req.body[field] !== undefined);
+  if (journalFields.length === 0) {
+    return res.status(400).json({
+      error: 'Missing required field',
+      message: 'Send at least one of note, intensity or tags'
+    });
+  }
+
+  try {
+    const moodLog = await MoodLog.findOne({ _id: id, userId: req.session.user?.id });
+
+    if (!moodLog) {
+      return res.status(404).json({
+        error: 'Mood log not found',
+        message: 'No mood log of yours has that ID'
+      });
+    }
+
+    journalFields.forEach(field => {
+      moodLog[field] = req.body[field] === null ? undefined : req.body[field];
+    });
+
+    await moodLog.save();
+
+    res.json({
+      success: true,
+      message: 'Journal entry saved',
+      data: {
+        id: moodLog._id,
+        note: moodLog.note,
+        intensity: moodLog.intensity,
+        tags: moodLog.tags
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: error.message,
+        details: error.errors
+      });
+    }
+
+    logger.error('Error saving journal entry', { error });
+    res.status(500).json({
+      error: 'Failed to save journal entry',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * RECORD TRACK ENGAGEMENT
+ * POST /api/mood/log/:id/engagement
+ *
+ * Called by the frontend when the user opens a recommended track in Spotify
+ * or plays its preview. Counts are kept per track on the mood log, and
+ * sessionData.tracksClicked is the number of different tracks opened.
+ *
+ * Body: { trackId, type } - type is "click" or "preview"
+ */
+router.post('/log/:id/engagement', requireAuth, async (req, res) => {
+  const { id } = req.params;
+  const { trackId, type } = req.body;
+
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({
+      error: 'Invalid mood log ID',
+      message: 'The mood log ID is not valid'
+    });
+  }
+
+  if (!trackId || !['click', 'preview'].includes(type)) {
+    return res.status(400).json({
+      error: 'Validation error',
+      message: 'trackId and a type of "click" or "preview" are required'
+    });
+  }
+
+  try {
+    const moodLog = await MoodLog.recordEngagement(id, req.session.user?.id, String(trackId), type);
+
+    if (!moodLog) {
+      return res.status(404).json({
+        error: 'Mood log not found',
+        message: 'No mood log of yours recommended that track'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: moodLog._id,
+        tracksClicked: moodLog.sessionData.tracksClicked,
+        engagement: moodLog.engagement.find(entry => entry.trackId === String(trackId))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error recording track engagement', { error });
+    res.status(500).json({
+      error: 'Failed to record engagement',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * CLASSIFY MOOD TEXT
+ * POST /api/mood/classify
+ *
+ * For users who'd rather describe how they feel than pick a button.
+ * Body: { text } - e.g. "exhausted but wired after a long day"
+ *
+ * Returns every mood the text points to with a confidence score, and a
+ * ready-made mood blend for /api/music/recommendations (null if the text
+ * didn't match anything). Runs locally - the text never leaves the server.
+ */
+router.post('/classify', requireAuth, async (req, res) => {
+  const { text } = req.body;
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({
+      error: 'Missing required field',
+      message: 'Describe how you feel in the text field'
+    });
+  }
+
+  if (text.length > MAX_TEXT_LENGTH) {
+    return res.status(400).json({
+      error: 'Validation error',
+      message: `Keep it under ${MAX_TEXT_LENGTH} characters`
+    });
+  }
+
+  try {
+    // Custom moods can be matched too, when the database is available
+    const userId = req.session.user?.id;
+    const customMoods = userId && mongoose.connection.readyState === 1
+      ? await CustomMood.findForUser(userId)
+      : [];
+
+    const result = classifyMoodText(text, customMoods);
+
+    res.json({
+      success: true,
+      data: {
+        text,
+        ...result,
+        message: result.blend
+          ? null
+          : "We couldn't tell your mood from that - try a few words like \"tired\", \"focused\" or \"in love\""
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error classifying mood text', { error });
+    res.status(500).json({
+      error: 'Failed to classify mood',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Most history entries returned in one page
+const MAX_HISTORY_LIMIT = 100;
+
+/**
+ * Encode where a history page ended, for the next page to carry on from
+ * (the last log's timestamp and ID - see decodeHistoryCursor)
+ */
+function encodeHistoryCursor(log) {
+  return Buffer.from(JSON.stringify({ t: log.timestamp, id: log._id })).toString('base64url');
+}
+
+/**
+ * Decode a history cursor
+ * @returns {object|null} { timestamp, id }, or null if the cursor isn't valid
+ */
+function decodeHistoryCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const timestamp = new Date(t);
+
+    if (isNaN(timestamp) || !mongoose.isValidObjectId(id)) return null;
+    return { timestamp, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * GET MOOD HISTORY
  * GET /api/mood/history/:userId
  *
  * Retrieves a user's mood selection history, sorted by most recent first.
- * Supports pagination and filtering options.
+ * Supports filtering by moods (comma-separated - logs with any of them),
+ * journal tags (comma-separated, logs must have all of them), `days` and
+ * `from` / `to` dates.
+ *
+ * Pages are cursor-based: pass `pagination.nextCursor` back as `cursor` to
+ * get the next `limit` entries (max 100). Pages follow on exactly even if
+ * moods are logged in between. `totalCount` comes with the first page only.
+ * The older `page` parameter still works, with page numbers instead.
  */
 router.get('/history/:userId', requireAuth, async (req, res) => {
   try {
     const { userId } = req.params;
-    const { limit = 50, page = 1, mood, days } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_HISTORY_LIMIT);
 
     // Verify user can only access their own data
     if (userId !== req.session.user?.id) {
@@ -129,56 +386,97 @@ router.get('/history/:userId', requireAuth, async (req, res) => {
       });
     }
 
-    // Build query filters
-    const query = { userId };
-    
-    // Filter by specific mood if requested
-    if (mood) {
-      query.mood = mood.toLowerCase().trim();
+    // Build query filters (dates are days in the user's time zone)
+    const timezone = await UserSettings.getTimezone(userId);
+    let query;
+    try {
+      query = buildHistoryFilter(userId, req.query, timezone);
+    } catch (filterError) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: filterError.message
+      });
     }
-    
-    // Filter by date range if requested
-    if (days) {
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - parseInt(days));
-      query.timestamp = { $gte: startDate };
+
+    // Numbered pages, for clients that ask for them
+    if (req.query.page !== undefined) {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+      const [moodHistory, totalCount] = await Promise.all([
+        MoodLog.find(query)
+          .sort({ timestamp: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        MoodLog.countDocuments(query)
+      ]);
+
+      const totalPages = Math.ceil(totalCount / limit);
+
+      return res.json({
+        success: true,
+        data: {
+          history: moodHistory,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalCount,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1,
+            limit
+          }
+        }
+      });
     }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    // Carry on after the last log of the previous page
+    let pageQuery = query;
+    if (req.query.cursor) {
+      const after = decodeHistoryCursor(req.query.cursor);
+      if (!after) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'Invalid cursor'
+        });
+      }
+
+      pageQuery = {
+        $and: [query, {
+          $or: [
+            { timestamp: { $lt: after.timestamp } },
+            { timestamp: after.timestamp, _id: { $lt: after.id } }
+          ]
+        }]
+      };
+    }
 
-    // Get mood history with pagination
-    const [moodHistory, totalCount] = await Promise.all([
-      MoodLog.find(query)
-        .sort({ timestamp: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
+    // One extra log tells us whether there's another page
+    const [logs, totalCount] = await Promise.all([
+      MoodLog.find(pageQuery)
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(limit + 1)
         .lean(),
-      MoodLog.countDocuments(query)
+      req.query.cursor ? null : MoodLog.countDocuments(query)
     ]);
 
-    // Calculate pagination info
-    const totalPages = Math.ceil(totalCount / parseInt(limit));
-    const hasNextPage = parseInt(page) < totalPages;
-    const hasPrevPage = parseInt(page) > 1;
+    const hasMore = logs.length > limit;
+    const moodHistory = logs.slice(0, limit);
 
     res.json({
       success: true,
       data: {
         history: moodHistory,
         pagination: {
-          currentPage: parseInt(page),
-          totalPages,
-          totalCount,
-          hasNextPage,
-          hasPrevPage,
-          limit: parseInt(limit)
+          limit,
+          hasMore,
+          nextCursor: hasMore ? encodeHistoryCursor(moodHistory[moodHistory.length - 1]) : null,
+          ...(totalCount !== null ? { totalCount } : {})
         }
       }
     });
 
   } catch (error) {
-    console.error('❌ Error fetching mood history:', error);
+    logger.error('Error fetching mood history', { error });
     res.status(500).json({
       error: 'Failed to fetch mood history',
       message: 'Internal server error'
@@ -186,6 +484,457 @@ router.get('/history/:userId', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Parse a from/to filter date. Plain dates ("2026-03-31") start at midnight
+ * in the user's time zone; `addDays` moves them on (1 = the end of that day).
+ * Date-times are taken as given.
+ */
+function parseFilterDate(value, timezone, addDays = 0) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return new Date(value);
+
+  const [, year, month, day] = match.map(Number);
+  return startOfDay(year, month, day + addDays, timezone);
+}
+
+/**
+ * BUILD HISTORY FILTER
+ *
+ * Turns mood / tags / days / from / to query parameters into a MoodLog query.
+ * mood can list several moods (comma-separated or repeated) - logs with any
+ * of them match. from and to are dates (or date-times) - plain dates are
+ * days in the user's time zone, and a plain date in `to` includes that whole day.
+ * @throws {Error} If days or a date can't be parsed
+ */
+function buildHistoryFilter(userId, { mood, tags, days, from, to }, timezone) {
+  const query = { userId };
+
+  // Built-in or custom moods, picked alone or in a blend
+  const moods = [...new Set([].concat(mood || [])
+    .flatMap(value => String(value).split(','))
+    .map(normalizeMoodName)
+    .filter(Boolean))];
+  if (moods.length > 0) {
+    Object.assign(query, MoodLog.moodFilter(moods));
+  }
+
+  // Logs tagged with every one of the given journal tags
+  const tagList = MoodLog.normalizeTags(tags);
+  if (tagList.length > 0) {
+    query.tags = { $all: tagList };
+  }
+
+  const timestamp = {};
+
+  if (days) {
+    if (!(parseInt(days) > 0)) throw new Error(`Invalid number of days: ${days}`);
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - parseInt(days));
+    timestamp.$gte = startDate;
+  }
+
+  if (from) {
+    const fromDate = parseFilterDate(from, timezone);
+    if (isNaN(fromDate)) throw new Error(`Invalid from date: ${from}`);
+    if (!timestamp.$gte || fromDate > timestamp.$gte) timestamp.$gte = fromDate;
+  }
+
+  if (to) {
+    // A plain date includes that whole day
+    const toDate = parseFilterDate(to, timezone, 1);
+    if (isNaN(toDate)) throw new Error(`Invalid to date: ${to}`);
+    timestamp.$lt = toDate;
+  }
+
+  if (Object.keys(timestamp).length > 0) {
+    query.timestamp = timestamp;
+  }
+
+  return query;
+}
+
+/**
+ * Wait until a streamed response can take more data
+ * @returns {Promise<boolean>} false if the connection closed first
+ */
+function waitForDrain(res) {
+  if (res.destroyed) return Promise.resolve(false);
+
+  return new Promise(resolve => {
+    const settle = drained => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      res.off('error', onClose);
+      resolve(drained);
+    };
+    const onDrain = () => settle(true);
+    const onClose = () => settle(false);
+
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+    res.once('error', onClose);
+  });
+}
+
+/**
+ * EXPORT MOOD HISTORY
+ * GET /api/mood/export/:userId?format=csv
+ *
+ * Streams the user's full mood history (oldest first) as a download:
+ * - csv    - One row per mood log; recommended tracks are a JSON array in the last column
+ * - ndjson - One JSON object per line
+ * - ics    - An iCalendar file with one event per logged mood
+ *
+ * Takes the same filters as the history endpoint: mood, tags, days and from/to dates.
+ */
+router.get('/export/:userId', requireAuth, async (req, res) => {
+  const { userId } = req.params;
+  const { format = 'csv' } = req.query;
+
+  // Verify user can only access their own data
+  if (userId !== req.session.user?.id) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only export your own mood history'
+    });
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(exportFormats, format)) {
+    return res.status(400).json({
+      error: 'Unsupported format',
+      message: `Format must be one of: ${Object.keys(exportFormats).join(', ')}`
+    });
+  }
+
+  const exportFormat = exportFormats[format];
+
+  try {
+    const timezone = await UserSettings.getTimezone(userId);
+
+    let query;
+    try {
+      query = buildHistoryFilter(userId, req.query, timezone);
+    } catch (filterError) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: filterError.message
+      });
+    }
+
+    // Calendar events show custom mood emojis too
+    const customMoods = format === 'ics' ? await CustomMood.findForUser(userId) : [];
+    const cursor = MoodLog.find(query).sort({ timestamp: 1 }).lean().cursor();
+    const filename = `moodify-history-${new Date().toISOString().slice(0, 10)}.${exportFormat.extension}`;
+
+    res.set({
+      'Content-Type': exportFormat.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+
+    res.write(exportFormat.header());
+
+    let count = 0;
+    let disconnected = false;
+    for await (const log of cursor) {
+      // Respect backpressure so a long history doesn't pile up in memory
+      if (!res.write(exportFormat.row(log, customMoods)) && !(await waitForDrain(res))) {
+        disconnected = true;
+        break;
+      }
+      count++;
+    }
+
+    if (disconnected) {
+      // The client went away mid-download - stop reading their history
+      await cursor.close();
+      logger.info('Mood history export cancelled', { userId, moodLogs: count, format });
+      return;
+    }
+
+    res.end(exportFormat.footer());
+    logger.info('Mood history exported', { userId, moodLogs: count, format });
+
+  } catch (error) {
+    logger.error('Error exporting mood history', { error });
+
+    // Once the download has started all we can do is cut it short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      error: 'Failed to export mood history',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * IMPORT LIMITS
+ *
+ * Imports arrive as one request body, so keep files to a sensible size.
+ */
+const MAX_IMPORT_BYTES = '5mb';
+const MAX_IMPORT_ROWS = 5000;
+
+// Longest range the stats charts cover
+const MAX_STATS_DAYS = 365;
+
+/**
+ * IMPORT MOOD HISTORY
+ * POST /api/mood/import?format=csv
+ *
+ * Bulk-adds past mood logs from a CSV or JSON file - a Moodify export or
+ * a file from another mood tracker (each entry needs at least a timestamp
+ * or date, and a mood or blend).
+ *
+ * Send the file contents as the request body (text/csv, text/plain or
+ * application/x-ndjson), or send a JSON array of entries as application/json.
+ *
+ * - Entries keep their original timestamps (dayOfWeek and hourOfDay follow them)
+ * - Every entry is validated against the MoodLog schema and the user's moods
+ * - Entries matching an existing log (same time and mood), or an earlier
+ *   entry in the same file, are skipped as duplicates
+ *
+ * Responds with a per-row report of what was accepted, rejected or skipped.
+ */
+router.post('/import',
+  requireAuth,
+  express.text({ type: ['text/csv', 'text/plain', 'application/x-ndjson'], limit: MAX_IMPORT_BYTES }),
+  express.json({ limit: MAX_IMPORT_BYTES }),
+  async (req, res) => {
+    const userId = req.session.user?.id;
+    const format = req.query.format || (req.is('text/csv') ? 'csv' : 'json');
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User not found',
+        message: 'User ID not available in session'
+      });
+    }
+
+    // Parse the whole file first - if that fails, nothing is imported
+    let rawEntries;
+    try {
+      if (typeof req.body === 'string') {
+        rawEntries = parseImportFile(req.body, format);
+      } else {
+        rawEntries = Array.isArray(req.body) ? req.body : (req.body?.entries || []);
+        if (!Array.isArray(rawEntries)) throw new Error('Expected an array of entries');
+      }
+    } catch (parseError) {
+      return res.status(400).json({
+        error: 'Invalid import file',
+        message: parseError.message
+      });
+    }
+
+    if (rawEntries.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid import file',
+        message: 'The file has no entries to import'
+      });
+    }
+
+    if (rawEntries.length > MAX_IMPORT_ROWS) {
+      return res.status(413).json({
+        error: 'Import too large',
+        message: `Import at most ${MAX_IMPORT_ROWS} entries at a time (this file has ${rawEntries.length})`
+      });
+    }
+
+    try {
+      const [customMoods, timezone] = await Promise.all([
+        CustomMood.findForUser(userId),
+        UserSettings.findTimezone(userId)
+      ]);
+      const supportedMoods = getSupportedMoods(customMoods);
+
+      // Build and validate a MoodLog for every row
+      const report = [];
+      const candidates = [];
+
+      for (const [index, raw] of rawEntries.entries()) {
+        const row = index + 1;
+
+        // One malformed row is rejected on its own - it never aborts the batch
+        let entry;
+        let errors;
+        try {
+          ({ entry, errors } = toImportEntry(raw));
+        } catch (rowError) {
+          entry = null;
+          errors = [`Could not read entry: ${rowError.message}`];
+        }
+
+        if (!entry) {
+          report.push({ row, status: 'rejected', errors });
+          continue;
+        }
+
+        let moodComponents;
+        try {
+          moodComponents = parseMoodBlend(entry.moodParam);
+        } catch (moodError) {
+          report.push({ row, status: 'rejected', errors: [moodError.message] });
+          continue;
+        }
+
+        const unsupported = moodComponents.find(component => !supportedMoods.includes(component.mood));
+        if (unsupported) {
+          report.push({ row, status: 'rejected', errors: [`Unsupported mood: ${unsupported.mood}`] });
+          continue;
+        }
+
+        const moodLog = new MoodLog({
+          userId,
+          mood: moodComponents[0].mood,
+          blend: moodComponents.length > 1 ? moodComponents : [],
+          playlistUsed: entry.playlistUsed,
+          recommendedTracks: entry.recommendedTracks,
+          note: entry.note,
+          intensity: entry.intensity,
+          tags: entry.tags,
+          sessionData: {
+            trackCount: entry.trackCount,
+            tracksClicked: entry.tracksClicked
+          },
+          source: 'import',
+          timestamp: entry.timestamp,
+          timezone: timezone || undefined,
+          ...MoodLog.getTimeFields(entry.timestamp, timezone)
+        });
+
+        try {
+          await moodLog.validate();
+        } catch (validationError) {
+          report.push({
+            row,
+            status: 'rejected',
+            errors: Object.values(validationError.errors || {}).map(err => err.message)
+          });
+          continue;
+        }
+
+        const entryReport = { row, status: 'accepted', id: moodLog._id, timestamp: moodLog.timestamp, mood: moodLog.mood };
+        report.push(entryReport);
+        candidates.push({ moodLog, entryReport });
+      }
+
+      // Skip entries already in the user's history, or repeated in this file
+      const duplicateKey = log => `${new Date(log.timestamp).getTime()}|${log.mood}`;
+      const existing = candidates.length === 0 ? [] : await MoodLog.find(
+        { userId, timestamp: { $in: candidates.map(({ moodLog }) => moodLog.timestamp) } },
+        { timestamp: 1, mood: 1 }
+      ).lean();
+      const seen = new Set(existing.map(duplicateKey));
+
+      const toInsert = [];
+      candidates.forEach(({ moodLog, entryReport }) => {
+        const key = duplicateKey(moodLog);
+        if (seen.has(key)) {
+          Object.assign(entryReport, { status: 'duplicate', id: undefined });
+          return;
+        }
+        seen.add(key);
+        toInsert.push(moodLog);
+      });
+
+      // Already validated above; insertMany skips save middleware, so time fields were set by hand
+      if (toInsert.length > 0) {
+        await MoodLog.insertMany(toInsert, { ordered: false });
+      }
+
+      const summary = {
+        total: report.length,
+        accepted: report.filter(entry => entry.status === 'accepted').length,
+        duplicates: report.filter(entry => entry.status === 'duplicate').length,
+        rejected: report.filter(entry => entry.status === 'rejected').length
+      };
+
+      logger.info('Mood history imported', { userId, total: summary.total, accepted: summary.accepted, duplicates: summary.duplicates, rejected: summary.rejected });
+
+      res.status(summary.accepted > 0 ? 201 : 200).json({
+        success: true,
+        message: `Imported ${summary.accepted} of ${summary.total} entries`,
+        data: {
+          summary,
+          rows: report
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error importing mood history', { error });
+      res.status(500).json({
+        error: 'Failed to import mood history',
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * SUGGESTED MOOD RIGHT NOW
+ * GET /api/mood/suggestion/:userId
+ *
+ * Predicts the moods the user is most likely to want at the current day
+ * and hour, from when they've picked moods before (recent logs count for
+ * more). Sparse history is topped up with the user's overall favourites,
+ * and users with no history get defaults for the time of day - see
+ * utils/moodPredictor.js.
+ */
+router.get('/suggestion/:userId', requireAuth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    // Verify user can only access their own data
+    if (userId !== req.session.user?.id) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only get suggestions from your own mood history'
+      });
+    }
+
+    const [logs, customMoods, timezone] = await Promise.all([
+      MoodLog.getTimePatterns(userId),
+      CustomMood.findForUser(userId),
+      UserSettings.getTimezone(userId)
+    ]);
+
+    // Compare like with like: now, and every past log, in the user's current time zone
+    const now = new Date();
+    const { dayOfWeek, hourOfDay } = MoodLog.getTimeFields(now, timezone);
+    const localLogs = logs.map(log => ({ ...log, ...MoodLog.getTimeFields(log.timestamp, timezone) }));
+    const prediction = predictMoods(localLogs, {
+      dayOfWeek,
+      hourOfDay,
+      now,
+      supportedMoods: getSupportedMoods(customMoods)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        timezone,
+        dayOfWeek,
+        hourOfDay,
+        ...prediction,
+        suggestions: prediction.suggestions.map(suggestion => ({
+          ...suggestion,
+          emoji: getMoodDetails(suggestion.mood, customMoods)?.emoji || '🎵'
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error suggesting mood', { error });
+    res.status(500).json({
+      error: 'Failed to suggest mood',
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * GET MOOD STATISTICS
  * GET /api/mood/stats/:userId
@@ -194,12 +943,20 @@ router.get('/history/:userId', requireAuth, async (req, res) => {
  * - Most common moods
  * - Mood trends over time
  * - Listening patterns by day/time
+ * - Most-liked tracks per mood
+ * - Click-through rate per mood
  * - Personalized insights
+ *
+ * Query parameters:
+ * - days: how many days (up to today) trends and the day x hour heatmap
+ *   cover - 1 to 365, default 30
+ * - tags: only count logs with all of these journal tags in moodCounts
  */
 router.get('/stats/:userId', requireAuth, async (req, res) => {
   try {
     const { userId } = req.params;
-    const { days = 30 } = req.query;
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), MAX_STATS_DAYS);
+    const tags = MoodLog.normalizeTags(req.query.tags);
 
     // Verify user can only access their own data
     if (userId !== req.session.user?.id) {
@@ -209,62 +966,90 @@ router.get('/stats/:userId', requireAuth, async (req, res) => {
       });
     }
 
+    // Days and hours are counted in the user's time zone
+    const timezone = await UserSettings.getTimezone(userId);
+    const range = getRecentDays(days, timezone);
+
     // Get various statistics in parallel
     const [
       moodCounts,
       recentTrends,
-      dayOfWeekStats,
-      hourOfDayStats,
-      totalLogs
+      timeOfDayStats,
+      totalLogs,
+      customMoods,
+      likedTracks,
+      clickThroughRates,
+      tagStats,
+      moodSequence,
+      dayHourStats
     ] = await Promise.all([
-      // Most common moods
-      MoodLog.getUserStats(userId),
+      // Most common moods, with average intensity (optionally only for tagged logs)
+      MoodLog.getUserStats(userId, { tags }),
       
       // Mood trends over time
-      MoodLog.getUserTrends(userId, parseInt(days)),
-      
-      // Day of week patterns
-      MoodLog.aggregate([
-        { $match: { userId } },
-        { $group: { _id: '$dayOfWeek', count: { $sum: 1 } } },
-        { $sort: { _id: 1 } }
-      ]),
+      MoodLog.getUserTrends(userId, days, timezone),
       
-      // Hour of day patterns
-      MoodLog.aggregate([
-        { $match: { userId } },
-        { $group: { _id: '$hourOfDay', count: { $sum: 1 } } },
-        { $sort: { _id: 1 } }
-      ]),
+      // Day of week and hour of day patterns
+      MoodLog.getTimeOfDayStats(userId, timezone),
       
       // Total mood logs count
-      MoodLog.countDocuments({ userId })
+      MoodLog.countDocuments({ userId }),
+
+      // The user's custom moods (for emojis and mood variety)
+      CustomMood.findForUser(userId),
+
+      // Tracks the user gave a thumbs up, grouped by mood
+      TrackFeedback.getLikedTracksByMood(userId),
+
+      // How often recommendations for each mood got opened
+      MoodLog.getClickThroughRates(userId),
+
+      // Most used journal tags
+      MoodLog.getTagStats(userId),
+
+      // Logs in order, for which moods follow which
+      MoodLog.getMoodSequence(userId),
+
+      // Day of week x hour of day, over the same days as the trends
+      MoodLog.getDayHourStats(userId, timezone, { since: range.since })
     ]);
 
+    const { dayOfWeek: dayOfWeekStats, hourOfDay: hourOfDayStats } = timeOfDayStats;
+    const transitions = analyzeTransitions(moodSequence, timezone);
+
     // Generate insights
-    const insights = generateInsights(moodCounts, dayOfWeekStats, hourOfDayStats);
+    const insights = generateInsights(moodCounts, dayOfWeekStats, hourOfDayStats, customMoods, clickThroughRates, transitions);
 
     res.json({
       success: true,
       data: {
         summary: {
           totalMoodLogs: totalLogs,
-          daysTracked: parseInt(days),
+          daysTracked: days,
           mostCommonMood: moodCounts[0]?._id || null,
-          moodVariety: moodCounts.length
+          moodVariety: moodCounts.length,
+          availableMoods: getSupportedMoods(customMoods).length,
+          timezone
         },
         moodCounts,
         trends: recentTrends,
+        range: { days, from: range.from, to: range.to },
         patterns: {
           dayOfWeek: dayOfWeekStats,
-          hourOfDay: hourOfDayStats
+          hourOfDay: hourOfDayStats,
+          dayHour: dayHourStats
         },
+        likedTracks,
+        engagement: clickThroughRates,
+        tags: tagStats,
+        transitions,
+        filters: { tags },
         insights
       }
     });
 
   } catch (error) {
-    console.error('❌ Error fetching mood stats:', error);
+    logger.error('Error fetching mood stats', { error });
     res.status(500).json({
       error: 'Failed to fetch mood statistics',
       message: 'Internal server error'
@@ -272,37 +1057,36 @@ router.get('/stats/:userId', requireAuth, async (req, res) => {
   }
 });
 
+// A transition has to have happened this often before it's worth pointing out
+const MIN_TRANSITION_COUNT = 3;
+
+// A mood needs this many sessions before its click-through rate is compared
+const MIN_ENGAGEMENT_SESSIONS = 3;
+
 /**
  * GENERATE PERSONALIZED INSIGHTS
  *
  * Analyzes user data to provide meaningful insights about their mood patterns
  */
-function generateInsights(moodCounts, dayOfWeekStats, hourOfDayStats) {
+function generateInsights(moodCounts, dayOfWeekStats, hourOfDayStats, customMoods = [], clickThroughRates = [], transitions = null) {
   const insights = [];
 
   // Most common mood insight
   if (moodCounts.length > 0) {
     const topMood = moodCounts[0];
-    const moodEmojis = {
-      happy: '😊',
-      sad: '😢',
-      energetic: '⚡',
-      relaxed: '😌',
-      focused: '🎯',
-      romantic: '💕'
-    };
 
     insights.push({
       type: 'most_common_mood',
       title: 'Your Go-To Mood',
       message: `You listen to ${topMood._id} music most often (${topMood.count} times)`,
-      icon: moodEmojis[topMood._id] || '🎵'
+      icon: getMoodDetails(topMood._id, customMoods)?.emoji || '🎵'
     });
   }
 
   // Mood diversity insight
   if (moodCounts.length > 1) {
-    const diversityPercentage = Math.round((moodCounts.length / 6) * 100);
+    const availableMoods = getSupportedMoods(customMoods).length;
+    const diversityPercentage = Math.min(Math.round((moodCounts.length / availableMoods) * 100), 100);
     insights.push({
       type: 'mood_diversity',
       title: 'Musical Variety',
@@ -347,7 +1131,7 @@ function generateInsights(moodCounts, dayOfWeekStats, hourOfDayStats) {
   // Mood pattern insights
   if (moodCounts.length >= 2) {
     const topTwoMoods = moodCounts.slice(0, 2);
-    const ratio = Math.round((topTwoMoods[0].count / topTwoMoods[1].count) * 100) / 100;
+    const ratio = Math.round((topTwoMoods[0].weight / topTwoMoods[1].weight) * 100) / 100;
 
     if (ratio > 3) {
       insights.push({
@@ -366,8 +1150,82 @@ function generateInsights(moodCounts, dayOfWeekStats, hourOfDayStats) {
     }
   }
 
-  // Activity level insight
-  const totalSessions = moodCounts.reduce((sum, mood) => sum + mood.count, 0);
+  // Intensity insight (from journal entries) - "strongest" needs something to compare against
+  const ratedMoods = moodCounts.filter(mood => mood.averageIntensity !== null && mood.averageIntensity !== undefined);
+  if (ratedMoods.length >= 2) {
+    const strongest = ratedMoods.reduce((max, mood) => mood.averageIntensity > max.averageIntensity ? mood : max);
+    insights.push({
+      type: 'strongest_mood',
+      title: 'Strongest Feelings',
+      message: `Your ${strongest._id} moods run the strongest, at ${strongest.averageIntensity}/10 on average`,
+      icon: getMoodDetails(strongest._id, customMoods)?.emoji || '🔥'
+    });
+  }
+
+  // Engagement insight: compared only among moods with a few sessions, so one lucky
+  // click doesn't count - and it takes at least two of them to say "more than any other"
+  const engagementRates = clickThroughRates
+    .filter(rate => rate.sessions >= MIN_ENGAGEMENT_SESSIONS)
+    .sort((a, b) => b.clickThroughRate - a.clickThroughRate);
+  const [mostEngaging, runnerUp] = engagementRates;
+  if (runnerUp && mostEngaging.clickThroughRate > runnerUp.clickThroughRate) {
+    insights.push({
+      type: 'most_engaging_mood',
+      title: 'Hits the Spot',
+      message: `You open ${Math.round(mostEngaging.clickThroughRate * 100)}% of your ${mostEngaging.mood} recommendations - more than any other mood`,
+      icon: getMoodDetails(mostEngaging.mood, customMoods)?.emoji || '🎧'
+    });
+  }
+
+  // Transition insights: what usually comes next (only for patterns seen a few times)
+  if (transitions) {
+    const nextMood = transitions.transitions.find(transition =>
+      transition.from !== transition.to &&
+      transition.count >= MIN_TRANSITION_COUNT &&
+      transition.probability >= 0.4
+    );
+    if (nextMood) {
+      insights.push({
+        type: 'mood_transition',
+        title: 'What Comes Next',
+        message: `After a ${nextMood.from} session you usually pick ${nextMood.to} next ` +
+          `(${Math.round(nextMood.probability * 100)}% of the time, typically ${formatGap(nextMood.medianGapMinutes)} later)`,
+        icon: getMoodDetails(nextMood.to, customMoods)?.emoji || '🔀'
+      });
+    }
+
+    const sameMood = transitions.transitions.find(transition =>
+      transition.from === transition.to &&
+      transition.count >= MIN_TRANSITION_COUNT &&
+      transition.probability >= 0.6
+    );
+    if (sameMood) {
+      insights.push({
+        type: 'mood_momentum',
+        title: 'In the Zone',
+        message: `Once you're in a ${sameMood.from} mood you tend to stay there - ` +
+          `${Math.round(sameMood.probability * 100)}% of the time your next session is ${sameMood.from} too`,
+        icon: '🔁'
+      });
+    }
+
+    const daypart = transitions.timeOfDay.find(transition =>
+      transition.count >= MIN_TRANSITION_COUNT &&
+      transition.probability >= 0.5
+    );
+    if (daypart) {
+      insights.push({
+        type: 'daypart_transition',
+        title: 'Your Daily Arc',
+        message: `${daypart.from.charAt(0).toUpperCase() + daypart.from.slice(1)} ${daypart.fromTimeOfDay}s ` +
+          `often lead to ${daypart.to} ${daypart.toTimeOfDay}s`,
+        icon: '🌗'
+      });
+    }
+  }
+
+  // Activity level insight (weights add up to one per session, even for blends)
+  const totalSessions = Math.round(moodCounts.reduce((sum, mood) => sum + mood.weight, 0));
   if (totalSessions >= 10) {
     insights.push({
       type: 'activity_level',
@@ -387,16 +1245,6 @@ function generateInsights(moodCounts, dayOfWeekStats, hourOfDayStats) {
   return insights;
 }
 
-/**
- * Helper function to convert hour to time of day label
- */
-function getTimeOfDayLabel(hour) {
-  if (hour >= 5 && hour < 12) return 'morning';
-  if (hour >= 12 && hour < 17) return 'afternoon';
-  if (hour >= 17 && hour < 21) return 'evening';
-  return 'night';
-}
-
 /**
  * Helper function to format hour in 12-hour format
  */
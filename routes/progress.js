@@ -0,0 +1,331 @@
+/**
+ * PROGRESS ROUTES
+ *
+ * The engagement system - streaks, goals and badges:
+ * - GET /api/mood/progress - Streaks, goal progress and badges (awards any newly earned)
+ * - POST /api/mood/progress/goals - Set a goal for this week or month
+ * - DELETE /api/mood/progress/goals/:id - Remove a goal
+ *
+ * Streaks and goal progress are always worked out from the mood logs, so
+ * they include imported history and never drift out of date. Completed
+ * goals and earned badges are stored, so they're kept for good.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const MoodLog = require('../models/MoodLog');
+const CustomMood = require('../models/CustomMood');
+const Goal = require('../models/Goal');
+const Badge = require('../models/Badge');
+const UserSettings = require('../models/UserSettings');
+const { getSupportedMoods } = require('../config/moodMapper');
+const { badges, getEarnedBadgeKeys } = require('../config/badges');
+const { computeStreaks, getPeriodRange } = require('../utils/progress');
+const { toDayString } = require('../utils/timezone');
+const { requireAuth } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Default session goal when the user doesn't pick a target
+const DEFAULT_SESSION_TARGETS = { week: 7, month: 30 };
+
+/**
+ * Describe a goal in words, e.g. "Log a mood every day this week"
+ */
+function describeGoal(goal, periodDays) {
+  const period = `this ${goal.period}`;
+
+  switch (goal.type) {
+    case 'log-days':
+      return goal.target >= periodDays
+        ? `Log a mood every day ${period}`
+        : `Log a mood on ${goal.target} days ${period}`;
+    case 'try-moods':
+      return `Try ${goal.target} different moods ${period}`;
+    default:
+      return `Log ${goal.target} moods ${period}`;
+  }
+}
+
+/**
+ * Count what a goal is counting, within its period
+ * @param {array} loggedDays - Every day the user logged a mood (see MoodLog.getLoggedDays)
+ * @param {string} timezone - The user's time zone, which loggedDays are in
+ */
+async function measureGoal(goal, loggedDays, timezone) {
+  const range = { from: goal.startsAt, to: goal.endsAt };
+
+  switch (goal.type) {
+    case 'log-days': {
+      const firstDay = toDayString(goal.startsAt, timezone);
+      const nextPeriodDay = toDayString(goal.endsAt, timezone);
+      return loggedDays.filter(day => day >= firstDay && day < nextPeriodDay).length;
+    }
+    case 'try-moods':
+      return (await MoodLog.getMoodsTried(goal.userId, range)).length;
+    default:
+      return MoodLog.countDocuments({ userId: goal.userId, timestamp: { $gte: range.from, $lt: range.to } });
+  }
+}
+
+/**
+ * Work out a user's streaks, goal progress and badges
+ *
+ * Days are the user's own, in their time zone. Marks goals that have
+ * reached their target as completed, and awards any badges the user now
+ * qualifies for.
+ */
+async function buildProgress(userId) {
+  const now = new Date();
+  const timezone = await UserSettings.getTimezone(userId);
+
+  const [loggedDays, totalLogs, moodsTried, journalEntries, goals] = await Promise.all([
+    MoodLog.getLoggedDays(userId, timezone),
+    MoodLog.countDocuments({ userId }),
+    MoodLog.getMoodsTried(userId),
+    MoodLog.countDocuments({ userId, note: { $exists: true, $ne: '' } }),
+    Goal.findRecentForUser(userId)
+  ]);
+
+  const streaks = computeStreaks(loggedDays, toDayString(now, timezone));
+
+  const goalProgress = await Promise.all(goals.map(async goal => {
+    const current = await measureGoal(goal, loggedDays, timezone);
+
+    if (!goal.completedAt && current >= goal.target) {
+      goal.completedAt = now;
+      await goal.save();
+      logger.info('Goal completed', { userId, type: goal.type, period: goal.period });
+    }
+
+    const { days } = getPeriodRange(goal.period, goal.startsAt, timezone);
+
+    return {
+      id: goal._id,
+      type: goal.type,
+      period: goal.period,
+      title: describeGoal(goal, days),
+      target: goal.target,
+      current: Math.min(current, goal.target),
+      percent: Math.min(100, Math.round((current / goal.target) * 100)),
+      status: goal.completedAt ? 'completed' : now >= goal.endsAt ? 'missed' : 'active',
+      startsAt: goal.startsAt,
+      endsAt: goal.endsAt,
+      completedAt: goal.completedAt
+    };
+  }));
+
+  const goalsCompleted = await Goal.countDocuments({ userId, completedAt: { $ne: null } });
+
+  const newBadgeKeys = await Badge.award(userId, getEarnedBadgeKeys({
+    totalLogs,
+    longestStreak: streaks.longest,
+    moodsTried,
+    journalEntries,
+    goalsCompleted
+  }));
+
+  if (newBadgeKeys.length > 0) {
+    logger.info('Badges awarded', { userId, badges: newBadgeKeys });
+  }
+
+  const awarded = new Map(
+    (await Badge.find({ userId }).lean()).map(badge => [badge.key, badge.awardedAt])
+  );
+
+  const badgeList = badges.map(({ key, name, emoji, description }) => ({
+    key,
+    name,
+    emoji,
+    description,
+    earned: awarded.has(key),
+    awardedAt: awarded.get(key) || null
+  }));
+
+  return {
+    streaks,
+    goals: goalProgress,
+    badges: badgeList,
+    newBadges: badgeList.filter(badge => newBadgeKeys.includes(badge.key)),
+    totals: {
+      totalLogs,
+      moodsTried: moodsTried.length,
+      journalEntries,
+      goalsCompleted
+    }
+  };
+}
+
+/**
+ * GET PROGRESS
+ * GET /api/mood/progress
+ *
+ * Current and longest daily logging streaks, progress on recent goals,
+ * and every badge (earned or not). `newBadges` lists any earned just now.
+ */
+router.get('/', requireAuth, async (req, res) => {
+  const userId = req.session.user?.id;
+
+  if (!userId) {
+    return res.status(400).json({
+      error: 'User not found',
+      message: 'User ID not available in session'
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      data: await buildProgress(userId)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching progress', { error });
+    res.status(500).json({
+      error: 'Failed to fetch progress',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * SET A GOAL
+ * POST /api/mood/progress/goals
+ *
+ * Body: { type, period, target }
+ * - type: "log-days", "try-moods" or "sessions"
+ * - period: "week" or "month" - the goal covers the current one
+ * - target: optional. Defaults to every day of the period for log-days,
+ *   every mood you have for try-moods, and 7 a week / 30 a month for sessions
+ */
+router.post('/goals', requireAuth, async (req, res) => {
+  const { type, period } = req.body;
+  const userId = req.session.user?.id;
+
+  if (!userId) {
+    return res.status(400).json({
+      error: 'User not found',
+      message: 'User ID not available in session'
+    });
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(Goal.GOAL_TYPES, type) || !['week', 'month'].includes(period)) {
+    return res.status(400).json({
+      error: 'Validation error',
+      message: `Goal type must be one of ${Object.keys(Goal.GOAL_TYPES).join(', ')} and period must be week or month`
+    });
+  }
+
+  try {
+    // The week or month as it is where the user is
+    const range = getPeriodRange(period, new Date(), await UserSettings.getTimezone(userId));
+
+    // The most a goal can ask for: every day of the period, or every mood the user has
+    let maxTarget = null;
+    let defaultTarget = DEFAULT_SESSION_TARGETS[period];
+    if (type === 'log-days') {
+      maxTarget = defaultTarget = range.days;
+    } else if (type === 'try-moods') {
+      maxTarget = defaultTarget = getSupportedMoods(await CustomMood.findForUser(userId)).length;
+    }
+
+    const target = req.body.target ?? defaultTarget;
+    if (maxTarget !== null && target > maxTarget) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Target can be at most ${maxTarget} for this goal`
+      });
+    }
+
+    const goal = new Goal({
+      userId,
+      type,
+      period,
+      target,
+      startsAt: range.startsAt,
+      endsAt: range.endsAt
+    });
+
+    await goal.save();
+
+    logger.info('Goal set', { userId, goal: describeGoal(goal, range.days) });
+
+    res.status(201).json({
+      success: true,
+      message: 'Goal set',
+      data: {
+        id: goal._id,
+        type: goal.type,
+        period: goal.period,
+        title: describeGoal(goal, range.days),
+        target: goal.target,
+        startsAt: goal.startsAt,
+        endsAt: goal.endsAt
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: error.message,
+        details: error.errors
+      });
+    }
+
+    // Unique index on (userId, type, period, startsAt)
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Goal already exists',
+        message: `You already have that kind of goal for this ${period}`
+      });
+    }
+
+    logger.error('Error setting goal', { error });
+    res.status(500).json({
+      error: 'Failed to set goal',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * REMOVE A GOAL
+ * DELETE /api/mood/progress/goals/:id
+ */
+router.delete('/goals/:id', requireAuth, async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({
+      error: 'Invalid goal ID',
+      message: 'The goal ID is not valid'
+    });
+  }
+
+  try {
+    const result = await Goal.deleteOne({ _id: id, userId: req.session.user?.id });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        error: 'Goal not found',
+        message: 'No goal of yours has that ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Goal removed'
+    });
+
+  } catch (error) {
+    logger.error('Error removing goal', { error });
+    res.status(500).json({
+      error: 'Failed to remove goal',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
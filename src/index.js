@@ -21,19 +21,37 @@ const express = require('express');           // Web framework for Node.js
 const session = require('express-session');   // Session management for storing user tokens
 const path = require('path');                 // File path utilities
 
+// Settings from the environment, parsed and checked (see config/env.js)
+const { config, checkConfig } = require('../config/env');
+
+// Structured logging with per-request correlation IDs
+const { logger } = require('../utils/logger');
+const { requestLogger } = require('../middleware/requestLogger');
+
 // Import database configuration
 const { initializeDatabase } = require('../config/database');
+const { MongoSessionStore } = require('../config/sessionStore');
+
+// Background job that builds weekly and monthly mood digests
+const { startDigestScheduler } = require('../utils/digestScheduler');
 
 // Import our custom route handlers
 const authRoutes = require('../routes/auth');     // Spotify OAuth login/logout
 const musicRoutes = require('../routes/music');   // Music recommendations API
 const moodRoutes = require('../routes/mood');     // Mood tracking and history API
+const customMoodRoutes = require('../routes/customMoods');  // User-defined moods
+const progressRoutes = require('../routes/progress');  // Streaks, goals and badges
+const digestRoutes = require('../routes/digests');  // Weekly and monthly mood digests
+const accountRoutes = require('../routes/account');  // "My data" export and account deletion
 
 // Create Express application instance
 const app = express();
 
 // Set server port (uses environment variable or defaults to 3555)
-const PORT = process.env.PORT || 3555;
+const PORT = config.PORT;
+
+// How long a login lasts
+const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
 
 /**
  * MIDDLEWARE CONFIGURATION
@@ -42,8 +60,15 @@ const PORT = process.env.PORT || 3555;
  * like parsing request data, serving files, and managing sessions.
  */
 
-// Parse JSON request bodies (for API calls)
-app.use(express.json());
+// Give each request an ID (X-Request-Id header) and log it when it finishes
+app.use(requestLogger);
+
+// Parse JSON request bodies (for API calls). Mood history imports are
+// larger than the 100kb default, so that route parses its own body.
+const ROUTE_PARSED_BODIES = ['/api/mood/import'];
+app.use(express.json({
+  type: req => Boolean(req.is('application/json')) && !ROUTE_PARSED_BODIES.includes(req.path.replace(/\/+$/, ''))
+}));
 
 // Parse URL-encoded form data (for form submissions)
 app.use(express.urlencoded({ extended: true }));
@@ -56,16 +81,20 @@ app.use(express.static(path.join(__dirname, '../public')));
  *
  * Sessions store user data (like Spotify tokens) across requests.
  * This is crucial for maintaining login state after OAuth.
+ *
+ * They're kept in MongoDB (config/sessionStore.js), so logins survive
+ * restarts and are shared by every server using the same SESSION_SECRET.
  */
 app.use(session({
-  secret: process.env.SESSION_SECRET || 'moodify-secret-key',  // Encryption key for sessions
+  secret: config.SESSION_SECRET,  // Encryption key for sessions (checked by checkConfig)
   resave: false,              // Don't save session if unmodified
   saveUninitialized: false,   // Don't create session until something stored
   name: 'moodify.sid',        // Custom session name
+  store: new MongoSessionStore({ maxAge: SESSION_MAX_AGE_MS }),  // Persist sessions in MongoDB
   cookie: {
     secure: false,            // Set to true in production with HTTPS
     httpOnly: true,           // Prevent XSS attacks
-    maxAge: 24 * 60 * 60 * 1000, // Session expires after 24 hours
+    maxAge: SESSION_MAX_AGE_MS, // Session expires after 24 hours
     sameSite: 'lax'           // CSRF protection
   }
 }));
@@ -83,9 +112,21 @@ app.use('/', authRoutes);
 // Music routes: /api/music/recommendations, /api/music/moods
 app.use('/api/music', musicRoutes);
 
+// Custom mood routes: /api/mood/custom (list, create, update, delete)
+app.use('/api/mood/custom', customMoodRoutes);
+
+// Progress routes: /api/mood/progress (streaks, goals and badges)
+app.use('/api/mood/progress', progressRoutes);
+
+// Digest routes: /api/mood/digests (preferences and past digests)
+app.use('/api/mood/digests', digestRoutes);
+
 // Mood tracking routes: /api/mood/log, /api/mood/history, /api/mood/stats
 app.use('/api/mood', moodRoutes);
 
+// Account routes: /api/account/data (download my data), /api/account/sessions, /api/account (delete)
+app.use('/api/account', accountRoutes);
+
 /**
  * HOME PAGE ROUTE
  *
@@ -103,8 +144,13 @@ app.get('/', (req, res) => {
 
 // Handle server errors (500 status)
 app.use((err, req, res, next) => {
-  console.error('❌ Server Error:', err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
+  // Body parser errors (e.g. an import file over the size limit) are the client's to fix
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
+  logger.error('Server error', { error: err });
+  res.status(500).json({ error: 'Something went wrong!', requestId: req.id });
 });
 
 // Handle page not found (404 status)
@@ -119,17 +165,22 @@ app.use((req, res) => {
  */
 async function startServer() {
   try {
+    // Stop here if any settings are missing or invalid
+    checkConfig();
+
     // Initialize database connection
     await initializeDatabase();
 
+    // Build digests for users who opted in
+    startDigestScheduler();
+
     // Start the Express server
     app.listen(PORT, () => {
-      console.log(`🎵 Moodify server running on http://localhost:${PORT}`);
-      console.log(`🔐 Visit http://localhost:${PORT}/login to authenticate with Spotify`);
-      console.log(`📊 Mood tracking database connected and ready`);
+      logger.info(`Moodify server running on http://localhost:${PORT}`, { port: PORT });
+      logger.info(`Visit http://localhost:${PORT}/login to authenticate with Spotify`);
     });
   } catch (error) {
-    console.error('❌ Failed to start server:', error);
+    logger.error('Failed to start server', { error: error.message });
     process.exit(1);
   }
 }
@@ -0,0 +1,197 @@
+/**
+ * DIGEST SCHEDULER
+ *
+ * Runs inside the server and builds mood digests for everyone who opted
+ * in. Every DIGEST_CHECK_MINUTES it looks for users whose last week or
+ * month has finished (in their own time zone) without a digest yet,
+ * builds and stores one, and emails it.
+ *
+ * Safe to run often and after restarts: a digest is built once per user
+ * and period (the Digest model's unique index guarantees it even with
+ * several servers), and emails that fail are retried on the next runs,
+ * up to MAX_DELIVERY_ATTEMPTS times.
+ */
+
+const mongoose = require('mongoose');
+const MoodLog = require('../models/MoodLog');
+const Digest = require('../models/Digest');
+const UserSettings = require('../models/UserSettings');
+const { config } = require('../config/env');
+const { isMailConfigured, sendMail } = require('../config/mailer');
+const { getLastPeriod, buildDigest, renderDigestEmail } = require('./digests');
+const { logger: rootLogger } = require('./logger');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+
+// How often to look for due digests
+const DIGEST_CHECK_MINUTES = config.DIGEST_CHECK_MINUTES;
+
+// Give the database a moment to connect before the first run
+const STARTUP_DELAY_MS = 30 * 1000;
+
+// Emails are tried this many times before a digest is marked failed
+const MAX_DELIVERY_ATTEMPTS = 3;
+
+const logger = rootLogger.child({ component: 'digests' });
+
+let timer = null;
+let running = false;
+
+/**
+ * Email a stored digest and record how it went
+ */
+async function deliverDigest(digest) {
+  const delivery = digest.delivery;
+
+  if (!delivery.email || !isMailConfigured()) {
+    delivery.status = 'skipped';
+    delivery.error = delivery.email ? 'Email is not configured on this server' : 'No email address';
+    await digest.save();
+    return digest;
+  }
+
+  delivery.attempts += 1;
+
+  try {
+    await sendMail({ to: delivery.email, ...renderDigestEmail(digest.toObject()) });
+
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+    delivery.error = null;
+    logger.info('Digest emailed', { userId: digest.userId, period: digest.period });
+
+  } catch (error) {
+    delivery.status = delivery.attempts >= MAX_DELIVERY_ATTEMPTS ? 'failed' : 'pending';
+    delivery.error = error.message;
+    logger.error('Error emailing digest', { userId: digest.userId, period: digest.period, attempt: delivery.attempts, error });
+  }
+
+  await digest.save();
+  return digest;
+}
+
+/**
+ * Build, store and email a user's digest for their last finished period,
+ * unless they already have it
+ *
+ * @param {object} settings - The user's UserSettings (userId, timezone, digest)
+ * @param {string} period - "week" or "month"
+ * @returns {Promise<object|null>} The new digest, or null if none was due
+ */
+async function createDigest(settings, period, now = new Date()) {
+  const { userId } = settings;
+  const timezone = settings.timezone || DEFAULT_TIMEZONE;
+  const range = getLastPeriod(period, now, timezone);
+
+  // Only periods that ended after the user opted in
+  if (settings.digest?.subscribedAt && range.endsAt <= settings.digest.subscribedAt) {
+    return null;
+  }
+
+  if (await Digest.exists({ userId, period, periodStart: range.startsAt })) {
+    return null;
+  }
+
+  // Nothing to report on
+  if (!(await MoodLog.exists({ userId, timestamp: { $gte: range.startsAt, $lt: range.endsAt } }))) {
+    return null;
+  }
+
+  const digest = new Digest({
+    ...(await buildDigest(userId, period, range, timezone)),
+    delivery: { email: settings.digest?.email }
+  });
+
+  try {
+    await digest.save();
+  } catch (error) {
+    // Another server built it first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  logger.info('Digest built', { userId, period });
+
+  return deliverDigest(digest);
+}
+
+/**
+ * Build every digest that's due, and retry emails that failed before
+ * @returns {Promise<object>} { created, retried } - how many of each
+ */
+async function runDigests(now = new Date()) {
+  let retried = 0;
+  const pending = await Digest.find({ 'delivery.status': 'pending', 'delivery.attempts': { $gt: 0 } }).limit(100);
+  for (const digest of pending) {
+    await deliverDigest(digest);
+    retried++;
+  }
+
+  let created = 0;
+  for (const period of ['week', 'month']) {
+    const subscribers = await UserSettings.findDigestSubscribers(period);
+
+    // One at a time, so a big batch doesn't flood the database or the SMTP server
+    for (const settings of subscribers) {
+      try {
+        if (await createDigest(settings, period, now)) created++;
+      } catch (error) {
+        logger.error('Error building digest', { userId: settings.userId, period, error });
+      }
+    }
+  }
+
+  return { created, retried };
+}
+
+/**
+ * Start checking for due digests in the background
+ * Set DIGESTS_ENABLED=false to turn it off (e.g. on all but one server).
+ */
+function startDigestScheduler() {
+  if (!config.DIGESTS_ENABLED) {
+    logger.info('Digest scheduler disabled (DIGESTS_ENABLED=false)');
+    return;
+  }
+
+  if (timer) return;
+
+  const check = async () => {
+    // Skip a run if the last one is still going or the database is down
+    if (running || mongoose.connection.readyState !== 1) return;
+
+    running = true;
+    try {
+      const { created, retried } = await runDigests();
+      if (created > 0 || retried > 0) {
+        logger.info('Digest run finished', { created, retried });
+      }
+    } catch (error) {
+      logger.error('Digest run failed', { error });
+    } finally {
+      running = false;
+    }
+  };
+
+  // unref() so the scheduler never keeps the process alive on its own
+  setTimeout(check, STARTUP_DELAY_MS).unref();
+  timer = setInterval(check, DIGEST_CHECK_MINUTES * 60 * 1000);
+  timer.unref();
+
+  logger.info('Digest scheduler started', { checkMinutes: DIGEST_CHECK_MINUTES });
+}
+
+/**
+ * Stop the background checks
+ */
+function stopDigestScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  runDigests,
+  createDigest,
+  deliverDigest,
+  startDigestScheduler,
+  stopDigestScheduler
+};
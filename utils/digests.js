@@ -0,0 +1,184 @@
+/**
+ * MOOD DIGESTS
+ *
+ * Builds the weekly and monthly digest reports and turns them into emails:
+ * - Top moods, and how each changed from the period before
+ * - Days logged and streaks as they stood at the end of the period
+ * - The recommended tracks the user opened most
+ *
+ * Periods are calendar weeks (Monday to Sunday) and months in the user's
+ * time zone, the same as goals (see utils/progress.js). The scheduler
+ * (utils/digestScheduler.js) decides when to build them.
+ */
+
+const MoodLog = require('../models/MoodLog');
+const { getMoodDetails } = require('../config/moodMapper');
+const { computeStreaks, getPeriodRange } = require('./progress');
+const { DEFAULT_TIMEZONE, toDayString } = require('./timezone');
+
+// How many moods and tracks a digest lists
+const TOP_MOODS = 5;
+const TOP_TRACKS = 5;
+
+/**
+ * Get the last finished week or month before a date, in the user's time zone
+ * @returns {object} { startsAt, endsAt, days } - see getPeriodRange
+ */
+function getLastPeriod(period, date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const current = getPeriodRange(period, date, timeZone);
+  return getPeriodRange(period, new Date(current.startsAt.getTime() - 1), timeZone);
+}
+
+/**
+ * Build the digest for one user and period
+ *
+ * @param {string} userId - Spotify User ID
+ * @param {string} period - "week" or "month"
+ * @param {object} range - The period to cover: { startsAt, endsAt } (see getLastPeriod)
+ * @param {string} timezone - The user's time zone
+ * @returns {Promise<object>} Fields for a Digest document
+ */
+async function buildDigest(userId, period, range, timezone = DEFAULT_TIMEZONE) {
+  const previous = getPeriodRange(period, new Date(range.startsAt.getTime() - 1), timezone);
+  const current = { from: range.startsAt, to: range.endsAt };
+
+  const [moodStats, previousMoodStats, totalLogs, previousTotalLogs, loggedDays, topTracks] = await Promise.all([
+    MoodLog.getUserStats(userId, current),
+    MoodLog.getUserStats(userId, { from: previous.startsAt, to: previous.endsAt }),
+    MoodLog.countDocuments({ userId, timestamp: { $gte: range.startsAt, $lt: range.endsAt } }),
+    MoodLog.countDocuments({ userId, timestamp: { $gte: previous.startsAt, $lt: previous.endsAt } }),
+    MoodLog.getLoggedDays(userId, timezone),
+    MoodLog.getMostClickedTracks(userId, { ...current, limit: TOP_TRACKS })
+  ]);
+
+  // Streaks as they were on the last day of the period, not today
+  const firstDay = toDayString(range.startsAt, timezone);
+  const lastDay = toDayString(new Date(range.endsAt.getTime() - 1), timezone);
+  const daysUpToEnd = loggedDays.filter(day => day <= lastDay);
+  const { current: currentStreak, longest } = computeStreaks(daysUpToEnd, lastDay);
+
+  const previousCounts = new Map(previousMoodStats.map(stat => [stat._id, stat.count]));
+  const currentMoods = new Set(moodStats.map(stat => stat._id));
+
+  return {
+    userId,
+    period,
+    periodStart: range.startsAt,
+    periodEnd: range.endsAt,
+    timezone,
+    totalLogs,
+    previousTotalLogs,
+    daysLogged: daysUpToEnd.filter(day => day >= firstDay).length,
+    topMoods: moodStats.slice(0, TOP_MOODS).map(stat => ({
+      mood: stat._id,
+      count: stat.count,
+      previousCount: previousCounts.get(stat._id) || 0
+    })),
+    droppedMoods: previousMoodStats.map(stat => stat._id).filter(mood => !currentMoods.has(mood)),
+    streaks: { current: currentStreak, longest },
+    topTracks
+  };
+}
+
+/**
+ * Describe how a count changed, e.g. "+50%", "-2", "new"
+ */
+function describeChange(count, previousCount) {
+  if (previousCount === 0) return count > 0 ? 'new' : 'no change';
+  if (count === previousCount) return 'no change';
+
+  const percent = Math.round(((count - previousCount) / previousCount) * 100);
+  return `${percent > 0 ? '+' : ''}${percent}%`;
+}
+
+/**
+ * Describe a digest's period, e.g. "Oct 6 - Oct 12, 2026" or "October 2026"
+ */
+function describePeriod(digest) {
+  const timeZone = digest.timezone;
+  const periodStart = new Date(digest.periodStart);
+
+  if (digest.period === 'month') {
+    return periodStart.toLocaleDateString('en-US', { timeZone, month: 'long', year: 'numeric' });
+  }
+
+  const lastDay = new Date(new Date(digest.periodEnd).getTime() - 1);
+  const startLabel = periodStart.toLocaleDateString('en-US', { timeZone, month: 'short', day: 'numeric' });
+  const endLabel = lastDay.toLocaleDateString('en-US', { timeZone, month: 'short', day: 'numeric', year: 'numeric' });
+  return `${startLabel} - ${endLabel}`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Turn a digest into an email
+ * Custom moods show without an emoji, since the digest doesn't load them.
+ * @returns {object} { subject, text, html }
+ */
+function renderDigestEmail(digest) {
+  const periodName = digest.period === 'month' ? 'month' : 'week';
+  const periodLabel = describePeriod(digest);
+  const moodLabel = mood => `${getMoodDetails(mood)?.emoji || '🎭'} ${mood}`;
+
+  const summary = digest.totalLogs === 0
+    ? `You didn't log any moods this ${periodName}.`
+    : `You logged ${digest.totalLogs} mood${digest.totalLogs === 1 ? '' : 's'} on ${digest.daysLogged} ` +
+      `day${digest.daysLogged === 1 ? '' : 's'} (${describeChange(digest.totalLogs, digest.previousTotalLogs)} ` +
+      `vs the ${periodName} before).`;
+
+  const streak = `Current streak: ${digest.streaks.current} day${digest.streaks.current === 1 ? '' : 's'} ` +
+    `(longest: ${digest.streaks.longest})`;
+
+  const moodLines = digest.topMoods.map(({ mood, count, previousCount }) =>
+    `${moodLabel(mood)} - ${count} (${describeChange(count, previousCount)})`
+  );
+
+  const trackLines = digest.topTracks.map(track =>
+    `${track.trackName || track.trackId}${track.artistName ? ` by ${track.artistName}` : ''} - ` +
+    `opened ${track.clicks} time${track.clicks === 1 ? '' : 's'}`
+  );
+
+  const text = [
+    `Your Moodify ${periodName}: ${periodLabel}`,
+    '',
+    summary,
+    streak,
+    ...(moodLines.length > 0 ? ['', 'Top moods:', ...moodLines.map(line => `- ${line}`)] : []),
+    ...(digest.droppedMoods.length > 0 ? ['', `Not logged this ${periodName}: ${digest.droppedMoods.join(', ')}`] : []),
+    ...(trackLines.length > 0 ? ['', 'Most opened tracks:', ...trackLines.map(line => `- ${line}`)] : []),
+    '',
+    'You can change how often you get these in the Moodify stats panel.'
+  ].join('\n');
+
+  const list = items => `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+
+  const html = `
+    <h2>🎵 Your Moodify ${periodName}: ${escapeHtml(periodLabel)}</h2>
+    <p>${escapeHtml(summary)}</p>
+    <p>🔥 ${escapeHtml(streak)}</p>
+    ${moodLines.length > 0 ? `<h3>Top moods</h3>${list(moodLines)}` : ''}
+    ${digest.droppedMoods.length > 0 ? `<p>Not logged this ${periodName}: ${escapeHtml(digest.droppedMoods.join(', '))}</p>` : ''}
+    ${trackLines.length > 0 ? `<h3>Most opened tracks</h3>${list(trackLines)}` : ''}
+    <p style="color: #888">You can change how often you get these in the Moodify stats panel.</p>
+  `;
+
+  return {
+    subject: `Your Moodify ${periodName}: ${periodLabel}`,
+    text,
+    html
+  };
+}
+
+module.exports = {
+  getLastPeriod,
+  buildDigest,
+  describeChange,
+  describePeriod,
+  renderDigestEmail
+};
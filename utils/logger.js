@@ -0,0 +1,230 @@
+/**
+ * LOGGER
+ *
+ * Structured logging for the server. Every entry has a level, a message
+ * and fields, and is written as one JSON line (production) or as a
+ * readable line (development) - pick with LOG_FORMAT and LOG_LEVEL.
+ *
+ * Features:
+ * - Levels: debug, info, warn, error (LOG_LEVEL sets the lowest one written)
+ * - The current request's correlation ID is added to every entry
+ *   automatically (see middleware/requestLogger.js)
+ * - Secrets are redacted before anything is written: tokens, passwords,
+ *   cookies, authorization headers and OAuth codes by field name, and
+ *   bearer tokens, encrypted tokens, long token-like strings and email
+ *   addresses wherever they appear
+ * - Errors are reduced to their name, message, HTTP status and a short
+ *   detail - never a full Spotify response or request config
+ *
+ * Usage:
+ *   logger.info('Playlist saved', { playlistId, tracks: 20 });
+ *   logger.error('Error saving playlist', { error });
+ *
+ * The startup configuration report (config/env.js) is printed before
+ * logging is set up, so it's the one thing written without this logger.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('../config/env');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+const LEVEL_ICONS = {
+  debug: '🔍',
+  info: 'ℹ️',
+  warn: '⚠️',
+  error: '❌'
+};
+
+const REDACTED = '[REDACTED]';
+
+// Fields whose values are always secret, matched against the field name
+const SENSITIVE_KEY = /token|secret|passw(or)?d|^pass$|authorization|cookie|^code$|code_verifier|api_?key|^sid$|session_?id/i;
+
+// Fields holding email addresses
+const EMAIL_KEY = /e-?mail/i;
+
+// Secrets inside free text
+const SENSITIVE_PATTERNS = [
+  [/Bearer\s+[\w.~+/-]+=*/gi, `Bearer ${REDACTED}`],
+  [/Basic\s+[A-Za-z0-9+/]+=*/g, `Basic ${REDACTED}`],
+  [/enc:v1:[A-Za-z0-9+/=:]+/g, REDACTED],
+  [/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '[EMAIL]'],
+  // Access tokens and the like - far longer than any Spotify or database ID
+  [/\b[A-Za-z0-9_-]{40,}\b/g, REDACTED]
+];
+
+// How deep nested fields are written before being cut off
+const MAX_DEPTH = 5;
+
+// Longest string written for a single field
+const MAX_STRING_LENGTH = 2000;
+
+// Request-scoped fields (like the request ID) for everything logged while handling it
+const requestContext = new AsyncLocalStorage();
+
+const minimumLevel = LEVELS[config.LOG_LEVEL];
+const format = config.LOG_FORMAT || (config.NODE_ENV === 'production' ? 'json' : 'pretty');
+
+/**
+ * Redact secrets in a string
+ */
+function redactString(value) {
+  const redacted = SENSITIVE_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+
+  return redacted.length > MAX_STRING_LENGTH
+    ? `${redacted.slice(0, MAX_STRING_LENGTH)}... (${redacted.length} characters)`
+    : redacted;
+}
+
+/**
+ * Redact secret query parameters in a URL or path, e.g. /callback?code=...&state=...
+ */
+function redactUrl(url) {
+  const [path, query] = String(url).split('?');
+  if (!query) return redactString(path);
+
+  const redactedQuery = [...new URLSearchParams(query)]
+    .map(([key, value]) => `${key}=${SENSITIVE_KEY.test(key) || key === 'state' ? REDACTED : encodeURIComponent(value)}`)
+    .join('&');
+  return redactString(`${path}?${redactedQuery}`);
+}
+
+/**
+ * Reduce an error to the parts worth logging
+ * Axios errors carry the whole request (with its Authorization header)
+ * and Spotify's response body, so only the status and message are kept.
+ */
+function serializeError(error) {
+  const serialized = {
+    name: error.name,
+    message: error.message
+  };
+
+  // Not "code" - that's redacted as an OAuth code
+  if (error.code) serialized.errorCode = error.code;
+
+  if (error.response) {
+    const data = error.response.data;
+    serialized.status = error.response.status;
+    serialized.detail = data?.error?.message || data?.error_description || (typeof data?.error === 'string' ? data.error : undefined);
+  }
+
+  if (!error.response && error.stack) serialized.stack = error.stack;
+
+  return serialized;
+}
+
+/**
+ * Copy a value with every secret redacted
+ */
+function redact(value, key = '', depth = 0, seen = new WeakSet()) {
+  if (value === null || value === undefined) return value;
+
+  // Flags and numbers like hasAccessToken or token_expires_at aren't secret
+  if (key && SENSITIVE_KEY.test(key) && typeof value !== 'boolean' && typeof value !== 'number') return REDACTED;
+  if (key && EMAIL_KEY.test(key) && typeof value === 'string') return '[EMAIL]';
+
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) return redact(serializeError(value), '', depth, seen);
+
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, '', depth + 1, seen));
+  }
+
+  // ObjectIds and similar know how to print themselves
+  if (typeof value.toHexString === 'function') return value.toHexString();
+
+  return Object.fromEntries(
+    Object.entries(value).map(([field, fieldValue]) => [field, redact(fieldValue, field, depth + 1, seen)])
+  );
+}
+
+/**
+ * "key=value" pairs for readable output
+ */
+function formatFields(fields) {
+  return Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+}
+
+/**
+ * Write one log entry
+ */
+function write(level, message, fields, bindings) {
+  if (LEVELS[level] < minimumLevel) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(message)),
+    ...requestContext.getStore(),
+    ...redact({ ...bindings, ...fields })
+  };
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (format === 'json') {
+    stream.write(`${JSON.stringify(entry)}\n`);
+    return;
+  }
+
+  const { time, level: entryLevel, msg, requestId, ...rest } = entry;
+  const stack = rest.error?.stack;
+  if (stack) delete rest.error.stack;
+
+  const line = [
+    time.slice(11, 23),
+    LEVEL_ICONS[entryLevel],
+    requestId ? `[${requestId.slice(0, 8)}]` : null,
+    msg,
+    Object.keys(rest).length > 0 ? formatFields(rest) : null
+  ].filter(Boolean).join(' ');
+
+  stream.write(`${line}\n${stack ? `${stack}\n` : ''}`);
+}
+
+/**
+ * Create a logger that adds `bindings` to every entry
+ * @param {object} bindings - Fields for every entry, e.g. { component: 'digests' }
+ */
+function createLogger(bindings = {}) {
+  return {
+    debug: (message, fields) => write('debug', message, fields, bindings),
+    info: (message, fields) => write('info', message, fields, bindings),
+    warn: (message, fields) => write('warn', message, fields, bindings),
+    error: (message, fields) => write('error', message, fields, bindings),
+    child: childBindings => createLogger({ ...bindings, ...childBindings })
+  };
+}
+
+/**
+ * Run `fn` with fields added to everything logged while it runs
+ * (including in callbacks and promises it starts)
+ */
+function runWithContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  createLogger,
+  runWithContext,
+  redact,
+  redactUrl
+};
@@ -0,0 +1,330 @@
+/**
+ * FREE-TEXT MOOD CLASSIFIER
+ *
+ * Turns a description like "exhausted but wired after a long day" into
+ * one or more of the user's moods, with a confidence for each. Runs
+ * entirely locally: a small lexicon of words and phrases, each pointing
+ * at one or more moods, plus a few rules for how people actually write:
+ *
+ * - Intensifiers ("really tired") make the next cue count for more
+ * - Negations ("not happy") drop a cue and lean towards its opposite mood
+ * - Cues after "but" count for more - it's usually what the user means
+ * - Custom moods match by name ("nostalgic") and by the words in their
+ *   description and search queries
+ */
+
+const { getSupportedMoods, normalizeMoodName } = require('../config/moodMapper');
+
+// Longest text we'll classify - this is a sentence or two, not a diary
+const MAX_TEXT_LENGTH = 500;
+
+// Moods below this share of the total score are left out of the blend
+const MIN_CONFIDENCE = 0.15;
+
+// At most this many moods in a suggested blend
+const MAX_BLEND_MOODS = 3;
+
+/**
+ * MOOD LEXICON
+ *
+ * Word or phrase -> { mood: weight }. Words also match with a common
+ * ending, so "exhaust" covers "exhausted" and "exhausting". A cue can
+ * point at several moods ("tired" wants something calm, and is a bit
+ * down too).
+ */
+const lexicon = {
+  // HAPPY
+  happy: { happy: 1 },
+  glad: { happy: 1 },
+  joy: { happy: 1 },
+  cheerful: { happy: 1 },
+  great: { happy: 0.8 },
+  good: { happy: 0.6 },
+  amazing: { happy: 1 },
+  awesome: { happy: 1 },
+  excit: { happy: 0.7, energetic: 0.5 },
+  celebrat: { happy: 1, energetic: 0.4 },
+  grateful: { happy: 0.8 },
+  proud: { happy: 0.8 },
+  sunny: { happy: 0.7 },
+  'good mood': { happy: 1.5 },
+  'good day': { happy: 1 },
+  'feel good': { happy: 1 },
+
+  // SAD
+  sad: { sad: 1 },
+  down: { sad: 0.7 },
+  depress: { sad: 1.2 },
+  lonely: { sad: 1 },
+  alone: { sad: 0.6 },
+  cry: { sad: 1 },
+  crying: { sad: 1 },
+  cried: { sad: 1 },
+  miss: { sad: 0.6, romantic: 0.3 },
+  heartbroken: { sad: 1.2 },
+  'broken heart': { sad: 1.2 },
+  breakup: { sad: 1 },
+  'broke up': { sad: 1 },
+  grief: { sad: 1.2 },
+  griev: { sad: 1.2 },
+  gloomy: { sad: 1 },
+  blue: { sad: 0.6 },
+  upset: { sad: 0.8 },
+  disappoint: { sad: 0.8 },
+  hopeless: { sad: 1.2 },
+  rainy: { sad: 0.4, relaxed: 0.4 },
+  tired: { relaxed: 0.7, sad: 0.3 },
+  exhaust: { relaxed: 1, sad: 0.4 },
+  drained: { relaxed: 0.8, sad: 0.5 },
+  'long day': { relaxed: 0.8 },
+  'rough day': { sad: 0.8, relaxed: 0.4 },
+  'bad day': { sad: 1 },
+
+  // ENERGETIC
+  energetic: { energetic: 1 },
+  energy: { energetic: 0.8 },
+  wired: { energetic: 1 },
+  hyper: { energetic: 1 },
+  pumped: { energetic: 1.2 },
+  'pump up': { energetic: 1.2 },
+  hype: { energetic: 1 },
+  workout: { energetic: 1.2 },
+  'work out': { energetic: 1.2 },
+  gym: { energetic: 1.2 },
+  run: { energetic: 0.8 },
+  running: { energetic: 1 },
+  party: { energetic: 1, happy: 0.5 },
+  danc: { energetic: 1, happy: 0.4 },
+  restless: { energetic: 0.8 },
+  angry: { energetic: 0.8 },
+  mad: { energetic: 0.6 },
+  caffeinat: { energetic: 0.8, focused: 0.3 },
+  motivat: { energetic: 0.8, focused: 0.4 },
+
+  // RELAXED
+  relax: { relaxed: 1 },
+  calm: { relaxed: 1 },
+  chill: { relaxed: 1 },
+  peaceful: { relaxed: 1 },
+  unwind: { relaxed: 1.2 },
+  'wind down': { relaxed: 1.2 },
+  lazy: { relaxed: 0.8 },
+  sleep: { relaxed: 1 },
+  sleepy: { relaxed: 1 },
+  bed: { relaxed: 0.6 },
+  cozy: { relaxed: 0.8 },
+  mellow: { relaxed: 0.8 },
+  stress: { relaxed: 0.8 },
+  anxious: { relaxed: 0.8 },
+  overwhelm: { relaxed: 0.8 },
+  sunday: { relaxed: 0.4 },
+
+  // FOCUSED
+  focus: { focused: 1 },
+  concentrat: { focused: 1 },
+  study: { focused: 1.2 },
+  studying: { focused: 1.2 },
+  exam: { focused: 1 },
+  homework: { focused: 1 },
+  work: { focused: 0.6 },
+  working: { focused: 0.8 },
+  coding: { focused: 1 },
+  code: { focused: 0.8 },
+  read: { focused: 0.6, relaxed: 0.3 },
+  writ: { focused: 0.8 },
+  deadline: { focused: 1, energetic: 0.3 },
+  productive: { focused: 1 },
+  'deep work': { focused: 1.5 },
+  distract: { focused: 0.8 },
+
+  // ROMANTIC
+  romantic: { romantic: 1 },
+  love: { romantic: 1 },
+  'in love': { romantic: 1.5 },
+  date: { romantic: 1 },
+  crush: { romantic: 1 },
+  kiss: { romantic: 1 },
+  partner: { romantic: 0.6 },
+  girlfriend: { romantic: 0.8 },
+  boyfriend: { romantic: 0.8 },
+  anniversary: { romantic: 1.2 },
+  candle: { romantic: 0.6, relaxed: 0.3 },
+  valentine: { romantic: 1.2 }
+};
+
+// Endings a word may have and still match its lexicon entry ("relax" -> "relaxing")
+const WORD_ENDINGS = /^(s|es|e|d|ed|ing|ion|ions|ement|ly|ful|er|ers)$/;
+
+// Words that strengthen the cue right after them
+const intensifiers = new Set(['very', 'really', 'so', 'super', 'extremely', 'totally', 'incredibly', 'completely', 'absolutely']);
+
+// Words that flip the cue right after them (allowing one word in between, like "not very happy")
+const negations = new Set(['not', 'no', 'never', 'hardly', "don't", "dont", "isn't", "isnt", "can't", "cant", "didn't", "didnt", "aren't", "arent", "wasn't", "wasnt"]);
+
+// Where a negated built-in mood's weight goes instead
+const opposites = {
+  happy: 'sad',
+  sad: 'happy',
+  energetic: 'relaxed',
+  relaxed: 'energetic'
+};
+
+const INTENSIFIER_BOOST = 1.5;
+const AFTER_BUT_BOOST = 1.5;
+const NEGATED_WEIGHT = 0.5;
+
+// Common words that shouldn't make a custom mood's description count as a match
+const stopWords = new Set(['the', 'and', 'for', 'with', 'music', 'songs', 'song', 'playlist', 'mix', 'vibes', 'feel', 'feeling', 'like', 'that', 'this', 'from', 'when']);
+
+/**
+ * Split text into lowercase word tokens, keeping apostrophes ("can't")
+ */
+function tokenize(text) {
+  return String(text).toLowerCase().match(/[a-z0-9']+/g) || [];
+}
+
+/**
+ * Build the lexicon for one user: the built-in cues plus their custom moods
+ * A custom mood's name is a strong cue; the words in its description and
+ * search queries are weaker ones.
+ * @returns {object} Lexicon entries in the same shape as `lexicon`
+ */
+function buildLexicon(customMoods = []) {
+  // No prototype, so words like "constructor" are never mistaken for cues
+  const fullLexicon = Object.create(null);
+  Object.entries(lexicon).forEach(([term, moods]) => {
+    fullLexicon[term] = { ...moods };
+  });
+
+  const addCue = (term, mood, weight) => {
+    fullLexicon[term] = fullLexicon[term] || {};
+    fullLexicon[term][mood] = Math.max(fullLexicon[term][mood] || 0, weight);
+  };
+
+  customMoods.forEach(customMood => {
+    addCue(normalizeMoodName(customMood.name), customMood.name, 1.5);
+
+    const related = [customMood.description, ...(customMood.searchQueries || [])].join(' ');
+    tokenize(related)
+      .filter(word => word.length > 3 && !stopWords.has(word))
+      .forEach(word => addCue(word, customMood.name, 0.5));
+  });
+
+  return fullLexicon;
+}
+
+/**
+ * Find every lexicon cue in the text
+ * Phrases are tried before single words, and a word that's part of a
+ * matched phrase isn't matched again on its own.
+ * @returns {array} [{ term, moods, index }] where index is the first token's position
+ */
+function findCues(tokens, fullLexicon) {
+  const phrases = Object.keys(fullLexicon).filter(term => term.includes(' '));
+  const words = Object.keys(fullLexicon).filter(term => !term.includes(' '));
+  const used = new Set();
+  const cues = [];
+
+  phrases.forEach(phrase => {
+    const phraseTokens = phrase.split(' ');
+    for (let i = 0; i + phraseTokens.length <= tokens.length; i++) {
+      const matches = phraseTokens.every((word, offset) => !used.has(i + offset) && tokens[i + offset] === word);
+      if (matches) {
+        phraseTokens.forEach((_, offset) => used.add(i + offset));
+        cues.push({ term: phrase, moods: fullLexicon[phrase], index: i });
+      }
+    }
+  });
+
+  tokens.forEach((token, i) => {
+    if (used.has(i)) return;
+
+    // Exact matches first ("run"), then the longest entry with a known ending ("exhaust" for "exhausted")
+    const term = fullLexicon[token]
+      ? token
+      : words
+        .filter(word => word.length >= 4 && token.startsWith(word) && WORD_ENDINGS.test(token.slice(word.length)))
+        .sort((a, b) => b.length - a.length)[0];
+
+    if (term) {
+      cues.push({ term, moods: fullLexicon[term], index: i });
+    }
+  });
+
+  return cues.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Classify free text into the user's moods
+ *
+ * @param {string} text - What the user typed
+ * @param {array} customMoods - Optional: the user's custom moods
+ * @returns {object} {
+ *   moods: [{ mood, confidence, cues }] - every mood with any evidence, most likely first,
+ *   blend: "relaxed:0.6,energetic:0.4" or null - ready for /recommendations,
+ *   confidence: 0-1 - how much the text told us overall
+ * }
+ */
+function classifyMoodText(text, customMoods = []) {
+  const tokens = tokenize(text);
+  const fullLexicon = buildLexicon(customMoods);
+  const supportedMoods = getSupportedMoods(customMoods);
+  const butIndex = tokens.lastIndexOf('but');
+
+  const scores = new Map();
+  const cuesByMood = new Map();
+
+  const addScore = (mood, weight, term) => {
+    if (!supportedMoods.includes(mood)) return;
+    scores.set(mood, (scores.get(mood) || 0) + weight);
+    cuesByMood.set(mood, [...(cuesByMood.get(mood) || []), term]);
+  };
+
+  findCues(tokens, fullLexicon).forEach(({ term, moods, index }) => {
+    const previous = tokens.slice(Math.max(0, index - 2), index);
+    const negated = previous.some(word => negations.has(word));
+    let multiplier = intensifiers.has(tokens[index - 1]) ? INTENSIFIER_BOOST : 1;
+    if (butIndex !== -1 && index > butIndex) multiplier *= AFTER_BUT_BOOST;
+
+    Object.entries(moods).forEach(([mood, weight]) => {
+      if (!negated) {
+        addScore(mood, weight * multiplier, term);
+      } else if (opposites[mood]) {
+        addScore(opposites[mood], weight * multiplier * NEGATED_WEIGHT, `not ${term}`);
+      }
+    });
+  });
+
+  const totalScore = [...scores.values()].reduce((sum, score) => sum + score, 0);
+
+  const moods = [...scores.entries()]
+    .map(([mood, score]) => ({
+      mood,
+      confidence: Math.round((score / totalScore) * 100) / 100,
+      cues: [...new Set(cuesByMood.get(mood))]
+    }))
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const blendMoods = moods
+    .filter(({ confidence }) => confidence >= MIN_CONFIDENCE)
+    .slice(0, MAX_BLEND_MOODS);
+  const blendTotal = blendMoods.reduce((sum, { confidence }) => sum + confidence, 0);
+
+  const blend = blendMoods.length === 0
+    ? null
+    : blendMoods.length === 1
+      ? blendMoods[0].mood
+      : blendMoods.map(({ mood, confidence }) => `${mood}:${Math.round((confidence / blendTotal) * 100) / 100}`).join(',');
+
+  return {
+    moods,
+    blend,
+    // More evidence means more confidence - about three solid cues is as sure as we get
+    confidence: Math.round(Math.min(1, totalScore / 3) * 100) / 100
+  };
+}
+
+module.exports = {
+  MAX_TEXT_LENGTH,
+  classifyMoodText
+};
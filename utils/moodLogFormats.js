@@ -0,0 +1,476 @@
+/**
+ * MOOD LOG FILE FORMATS
+ *
+ * Turns mood logs into the file formats users can download:
+ * - CSV    - One row per mood log, for spreadsheets
+ * - NDJSON - One JSON object per line, for scripts and backups
+ * - ICS    - An iCalendar file with one event per logged mood
+ *
+ * Each format is split into a header, one chunk per log and a footer,
+ * so the export route can stream logs straight from a database cursor.
+ *
+ * It also reads CSV and JSON files back in for history imports - both
+ * Moodify's own exports and simpler files from other mood trackers.
+ */
+
+const { formatMoodBlend, getMoodDetails } = require('../config/moodMapper');
+
+// CSV columns, in order
+const CSV_COLUMNS = [
+  'id',
+  'timestamp',
+  'mood',
+  'blend',
+  'dayOfWeek',
+  'hourOfDay',
+  'intensity',
+  'tags',
+  'note',
+  'trackCount',
+  'tracksClicked',
+  'playlistId',
+  'playlistName',
+  'playlistUrl',
+  'recommendedTracks'
+];
+
+// How long each calendar event lasts
+const ICS_EVENT_MINUTES = 30;
+
+/**
+ * Reduce a stored mood log to the fields users get in an export
+ */
+function toExportRecord(log) {
+  return {
+    id: String(log._id),
+    timestamp: new Date(log.timestamp).toISOString(),
+    mood: log.mood,
+    blend: log.blend?.length ? log.blend.map(({ mood, weight }) => ({ mood, weight })) : [],
+    dayOfWeek: log.dayOfWeek,
+    hourOfDay: log.hourOfDay,
+    intensity: log.intensity ?? null,
+    tags: log.tags || [],
+    note: log.note || '',
+    trackCount: log.sessionData?.trackCount || 0,
+    tracksClicked: log.sessionData?.tracksClicked || 0,
+    playlistUsed: log.playlistUsed || null,
+    recommendedTracks: (log.recommendedTracks || []).map(track => ({
+      trackId: track.trackId,
+      trackName: track.trackName,
+      artistName: track.artistName,
+      spotifyUrl: track.spotifyUrl
+    }))
+  };
+}
+
+/**
+ * CSV
+ */
+
+// Quote a CSV cell when needed. Cells that a spreadsheet would run as a
+// formula (starting with =, +, - or @) are prefixed with a quote mark.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvHeader() {
+  return `${CSV_COLUMNS.join(',')}\r\n`;
+}
+
+function toCsvRow(log) {
+  const record = toExportRecord(log);
+  const row = {
+    ...record,
+    // Blends use the same "mood:weight,mood:weight" form as the recommendations API
+    blend: record.blend.length ? formatMoodBlend(record.blend) : '',
+    tags: record.tags.join(', '),
+    playlistId: record.playlistUsed?.id,
+    playlistName: record.playlistUsed?.name,
+    playlistUrl: record.playlistUsed?.url,
+    recommendedTracks: JSON.stringify(record.recommendedTracks)
+  };
+
+  return `${CSV_COLUMNS.map(column => csvCell(row[column])).join(',')}\r\n`;
+}
+
+/**
+ * NDJSON
+ */
+
+function toNdjsonLine(log) {
+  return `${JSON.stringify(toExportRecord(log))}\n`;
+}
+
+/**
+ * ICS (RFC 5545)
+ */
+
+// Escape text values (backslashes, semicolons, commas and newlines)
+function icsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Format a date as a UTC date-time, e.g. 20261019T083000Z
+function icsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Fold lines longer than 75 bytes, without splitting multi-byte characters
+function icsLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let chunkBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward their 75 bytes
+    const maxBytes = chunks.length === 0 ? 75 : 74;
+
+    if (chunkBytes + charBytes > maxBytes) {
+      chunks.push(chunk);
+      chunk = '';
+      chunkBytes = 0;
+    }
+
+    chunk += char;
+    chunkBytes += charBytes;
+  }
+  chunks.push(chunk);
+
+  return `${chunks.join('\r\n ')}\r\n`;
+}
+
+function icsHeader() {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Moodify//Mood History//EN',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:Moodify Mood History'
+  ].map(icsLine).join('');
+}
+
+/**
+ * One event per mood log, at the time the mood was picked
+ * @param {object} log - Mood log
+ * @param {array} customMoods - The user's custom moods (for their emojis)
+ */
+function toIcsEvent(log, customMoods = []) {
+  const record = toExportRecord(log);
+  const start = new Date(record.timestamp);
+  const end = new Date(start.getTime() + ICS_EVENT_MINUTES * 60 * 1000);
+
+  const moods = record.blend.length ? record.blend : [{ mood: record.mood, weight: 1 }];
+  const label = moods
+    .map(({ mood, weight }) => {
+      const name = mood.charAt(0).toUpperCase() + mood.slice(1);
+      return moods.length > 1 ? `${name} ${Math.round(weight * 100)}%` : name;
+    })
+    .join(' + ');
+
+  // A custom mood may have been deleted since it was logged
+  const emoji = getMoodDetails(record.mood, customMoods)?.emoji || '🎵';
+
+  const journal = [
+    record.intensity ? `Intensity: ${record.intensity}/10` : null,
+    record.tags.length ? `Tags: ${record.tags.join(', ')}` : null,
+    record.note || null
+  ].filter(Boolean);
+
+  const tracks = record.recommendedTracks.length > 0
+    ? ['Recommended tracks:', ...record.recommendedTracks.map((track, i) =>
+        `${i + 1}. ${track.trackName || track.trackId}${track.artistName ? ` - ${track.artistName}` : ''}`)]
+    : ['No tracks recommended'];
+
+  const description = [...journal, ...(journal.length ? [''] : []), ...tracks].join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${record.id}@moodify`,
+    `DTSTAMP:${icsDate(new Date())}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SUMMARY:${icsText(`${emoji} ${label} mood`)}`,
+    `DESCRIPTION:${icsText(description)}`,
+    `CATEGORIES:${moods.map(({ mood }) => icsText(mood)).join(',')}`
+  ];
+
+  if (record.playlistUsed?.url) {
+    lines.push(`URL:${record.playlistUsed.url}`);
+  }
+
+  lines.push('END:VEVENT');
+
+  return lines.map(icsLine).join('');
+}
+
+function icsFooter() {
+  return icsLine('END:VCALENDAR');
+}
+
+/**
+ * IMPORT PARSING
+ */
+
+// Split CSV text into rows of cells (RFC 4180: quoted cells may hold commas, quotes and newlines)
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unclosed quote');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse a CSV file into one object per row, keyed by the header row
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+
+  return rows.map(cells => Object.fromEntries(columns.map((column, i) => {
+    // Undo the formula guard csvCell() adds on export
+    const value = (cells[i] ?? '').replace(/^'(?=[=+\-@])/, '');
+    return [column, value];
+  })));
+}
+
+/**
+ * Parse a JSON file: an array of entries, an object with an `entries` (or
+ * `history`) array, or newline-delimited JSON like our NDJSON export
+ */
+function parseJsonEntries(text) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (!trimmed) return [];
+
+  try {
+    const parsed = JSON.parse(trimmed);
+    if (Array.isArray(parsed)) return parsed;
+    if (Array.isArray(parsed?.entries)) return parsed.entries;
+    if (Array.isArray(parsed?.history)) return parsed.history;
+    // A single JSON object on one line is one NDJSON entry
+    if (parsed && typeof parsed === 'object' && !trimmed.includes('\n')) return [parsed];
+    throw new Error('Expected an array of entries');
+  } catch (jsonError) {
+    if (!trimmed.includes('\n')) throw new Error(`Invalid JSON: ${jsonError.message}`);
+  }
+
+  return trimmed.split(/\r?\n/)
+    .filter(line => line.trim())
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (lineError) {
+        throw new Error(`Invalid JSON on line ${i + 1}: ${lineError.message}`);
+      }
+    });
+}
+
+/**
+ * Read an import file into raw entries
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'json' (JSON also accepts NDJSON)
+ * @throws {Error} If the file can't be parsed at all
+ */
+function parseImportFile(text, format) {
+  if (format === 'csv') return parseCsv(text);
+  if (format === 'json' || format === 'ndjson') return parseJsonEntries(text);
+  throw new Error(`Unsupported import format: ${format}. Use csv or json`);
+}
+
+// Read a whole number field that may be a string (CSV) or a number (JSON)
+function readCount(value, field, errors) {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    errors.push(`${field} must be a whole number`);
+    return undefined;
+  }
+  return number;
+}
+
+/**
+ * Normalize one raw import entry (a CSV row or JSON object).
+ *
+ * Accepts our own export fields, plus `date`/`time` for the timestamp so
+ * simple files from other apps work. A `blend` ("relaxed:0.7,focused:0.3"
+ * or [{ mood, weight }]) takes precedence over `mood`.
+ * @returns {object} { entry, errors } - entry is null when there are errors
+ */
+function toImportEntry(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { entry: null, errors: ['Entry must be an object'] };
+  }
+
+  const timestampValue = raw.timestamp ?? raw.date ?? raw.time;
+  const timestamp = timestampValue ? new Date(timestampValue) : null;
+  if (!timestamp || isNaN(timestamp)) {
+    errors.push(timestampValue ? `Invalid timestamp: ${timestampValue}` : 'Timestamp is required');
+  } else if (timestamp > new Date()) {
+    errors.push('Timestamp is in the future');
+  }
+
+  let moodParam = raw.mood;
+  let invalidBlend = false;
+  if (Array.isArray(raw.blend) && raw.blend.length > 0) {
+    const validBlend = raw.blend.every(component =>
+      component && typeof component === 'object' &&
+      typeof component.mood === 'string' &&
+      typeof component.weight === 'number' && Number.isFinite(component.weight)
+    );
+    if (validBlend) {
+      moodParam = formatMoodBlend(raw.blend);
+    } else {
+      errors.push('blend must be an array of { mood, weight } components');
+      invalidBlend = true;
+    }
+  } else if (typeof raw.blend === 'string' && raw.blend.trim()) {
+    moodParam = raw.blend;
+  }
+  if (!moodParam && !invalidBlend) {
+    errors.push('Mood is required');
+  }
+
+  let recommendedTracks = raw.recommendedTracks ?? [];
+  if (typeof recommendedTracks === 'string') {
+    try {
+      recommendedTracks = recommendedTracks.trim() ? JSON.parse(recommendedTracks) : [];
+    } catch (jsonError) {
+      errors.push('recommendedTracks is not valid JSON');
+      recommendedTracks = [];
+    }
+  }
+  if (!Array.isArray(recommendedTracks) || !recommendedTracks.every(track => track && typeof track === 'object')) {
+    errors.push('recommendedTracks must be an array of tracks');
+    recommendedTracks = [];
+  }
+
+  const intensity = readCount(raw.intensity, 'intensity', errors);
+
+  const trackCount = readCount(raw.trackCount ?? raw.sessionData?.trackCount, 'trackCount', errors);
+  const tracksClicked = readCount(raw.tracksClicked ?? raw.sessionData?.tracksClicked, 'tracksClicked', errors);
+
+  const playlist = raw.playlistUsed && typeof raw.playlistUsed === 'object'
+    ? raw.playlistUsed
+    : { id: raw.playlistId, name: raw.playlistName, url: raw.playlistUrl };
+  const playlistUsed = playlist.id
+    ? { id: String(playlist.id), name: playlist.name, url: playlist.url || null }
+    : null;
+
+  if (errors.length > 0) {
+    return { entry: null, errors };
+  }
+
+  return {
+    entry: {
+      timestamp,
+      moodParam: String(moodParam),
+      recommendedTracks: recommendedTracks.map(track => ({
+        trackId: track.trackId ?? track.id,
+        trackName: track.trackName ?? track.name,
+        artistName: track.artistName ?? (Array.isArray(track.artists) ? track.artists.join(', ') : track.artists),
+        spotifyUrl: track.spotifyUrl ?? track.external_urls?.spotify
+      })),
+      note: raw.note || undefined,
+      intensity,
+      // A string (CSV) or an array; the MoodLog schema normalizes both
+      tags: raw.tags || [],
+      trackCount: trackCount ?? recommendedTracks.length,
+      tracksClicked: tracksClicked ?? 0,
+      playlistUsed
+    },
+    errors: []
+  };
+}
+
+/**
+ * EXPORT FORMATS
+ *
+ * Everything the export route needs to stream each format.
+ */
+const exportFormats = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: csvHeader,
+    row: toCsvRow,
+    footer: () => ''
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    header: () => '',
+    row: toNdjsonLine,
+    footer: () => ''
+  },
+  ics: {
+    contentType: 'text/calendar; charset=utf-8',
+    extension: 'ics',
+    header: icsHeader,
+    row: toIcsEvent,
+    footer: icsFooter
+  }
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  exportFormats,
+  toExportRecord,
+  parseImportFile,
+  toImportEntry
+};
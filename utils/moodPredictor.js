@@ -0,0 +1,173 @@
+/**
+ * MOOD PREDICTOR
+ *
+ * Suggests the moods a user is most likely to want right now, from when
+ * they've picked moods before. Every past log votes for its mood(s), and
+ * its vote counts for more when:
+ *
+ * - It was logged at a similar time: the same hour scores highest, the
+ *   hours either side less, and the same day of the week beats the same
+ *   kind of day (weekday or weekend), which beats any other day
+ * - It's recent: a vote halves in weight every HALF_LIFE_DAYS, so this
+ *   month's habits outweigh last year's
+ *
+ * With only a handful of logs near this time, the user's overall recent
+ * favourites are mixed in; with no history at all, we fall back to
+ * sensible defaults for the time of day.
+ */
+
+// A log's vote halves in weight every this many days
+const HALF_LIFE_DAYS = 30;
+
+// Logs within this many hours (either way) of now count as "around this time"
+const HOUR_WINDOW = 3;
+
+// How much a log counts depending on its day, relative to now
+const SAME_DAY_WEIGHT = 1;
+const SAME_DAY_TYPE_WEIGHT = 0.5;   // Both weekdays, or both weekend days
+const OTHER_DAY_WEIGHT = 0.2;
+
+// Below this much (recency-weighted) evidence around this time, mix in overall favourites
+const MIN_TIME_EVIDENCE = 3;
+
+// At most this many suggestions
+const MAX_SUGGESTIONS = 3;
+
+// Suggestions for users with no usable history, by time of day
+const defaultSuggestions = [
+  { fromHour: 5, toHour: 9, moods: ['energetic', 'happy'] },
+  { fromHour: 9, toHour: 17, moods: ['focused', 'happy'] },
+  { fromHour: 17, toHour: 21, moods: ['relaxed', 'happy'] },
+  { fromHour: 21, toHour: 24, moods: ['relaxed', 'romantic'] },
+  { fromHour: 0, toHour: 5, moods: ['relaxed', 'sad'] }
+];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const isWeekend = dayOfWeek => dayOfWeek === 0 || dayOfWeek === 6;
+
+/**
+ * How close two hours of the day are, from 1 (same hour) to 0 (HOUR_WINDOW or more apart)
+ * Wraps around midnight, so 23:00 and 01:00 are two hours apart.
+ */
+function hourSimilarity(hourA, hourB) {
+  const difference = Math.abs(hourA - hourB);
+  const distance = Math.min(difference, 24 - difference);
+  return Math.max(0, 1 - distance / HOUR_WINDOW);
+}
+
+/**
+ * How much a log from one day of the week counts towards another
+ */
+function daySimilarity(dayA, dayB) {
+  if (dayA === dayB) return SAME_DAY_WEIGHT;
+  if (isWeekend(dayA) === isWeekend(dayB)) return SAME_DAY_TYPE_WEIGHT;
+  return OTHER_DAY_WEIGHT;
+}
+
+/**
+ * The moods a log voted for, with weights summing to 1
+ */
+function logComponents(log) {
+  return log.blend?.length ? log.blend : [{ mood: log.mood, weight: 1 }];
+}
+
+/**
+ * Turn { mood: score } into suggestions with confidences that sum to 1
+ */
+function toSuggestions(scores, sessions) {
+  const total = [...scores.values()].reduce((sum, score) => sum + score, 0);
+  if (total === 0) return [];
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_SUGGESTIONS)
+    .map(([mood, score]) => ({
+      mood,
+      confidence: Math.round((score / total) * 100) / 100,
+      sessions: sessions.get(mood) || 0
+    }));
+}
+
+/**
+ * Predict the moods the user most likely wants right now
+ *
+ * @param {array} logs - The user's mood logs: { mood, blend, timestamp, dayOfWeek, hourOfDay }
+ * @param {object} options
+ * @param {number} options.dayOfWeek - Day to predict for (0 = Sunday)
+ * @param {number} options.hourOfDay - Hour to predict for (0-23)
+ * @param {Date} options.now - When "now" is, for recency weighting
+ * @param {array} options.supportedMoods - Moods that can still be suggested (deleted custom moods can't)
+ * @returns {object} {
+ *   suggestions: [{ mood, confidence, sessions }] - most likely first,
+ *   basis: 'time' (plenty of history around this time), 'blended' (some, topped up
+ *          with overall favourites), 'overall' (none around this time) or 'default' (no history),
+ *   evidence: recency-weighted number of logs around this time
+ * }
+ */
+function predictMoods(logs, { dayOfWeek, hourOfDay, now = new Date(), supportedMoods }) {
+  const timeScores = new Map();
+  const overallScores = new Map();
+  const timeSessions = new Map();
+  const overallSessions = new Map();
+  let evidence = 0;
+
+  logs.forEach(log => {
+    const ageDays = Math.max(0, (now - new Date(log.timestamp)) / MS_PER_DAY);
+    const recency = Math.pow(0.5, ageDays / HALF_LIFE_DAYS);
+    const timeWeight = hourSimilarity(log.hourOfDay, hourOfDay) * daySimilarity(log.dayOfWeek, dayOfWeek);
+
+    logComponents(log)
+      .filter(({ mood }) => supportedMoods.includes(mood))
+      .forEach(({ mood, weight }) => {
+        overallScores.set(mood, (overallScores.get(mood) || 0) + recency * weight);
+        overallSessions.set(mood, (overallSessions.get(mood) || 0) + 1);
+
+        if (timeWeight > 0) {
+          timeScores.set(mood, (timeScores.get(mood) || 0) + recency * timeWeight * weight);
+          timeSessions.set(mood, (timeSessions.get(mood) || 0) + 1);
+          evidence += recency * timeWeight * weight;
+        }
+      });
+  });
+
+  const result = basis => ({ basis, evidence: Math.round(evidence * 100) / 100 });
+
+  // No usable history: suggest something that suits the time of day
+  if (overallScores.size === 0) {
+    const slot = defaultSuggestions.find(({ fromHour, toHour }) => hourOfDay >= fromHour && hourOfDay < toHour);
+    return {
+      suggestions: slot.moods.map((mood, i) => ({ mood, confidence: i === 0 ? 0.6 : 0.4, sessions: 0 })),
+      ...result('default')
+    };
+  }
+
+  if (evidence >= MIN_TIME_EVIDENCE) {
+    return { suggestions: toSuggestions(timeScores, timeSessions), ...result('time') };
+  }
+
+  if (evidence === 0) {
+    return { suggestions: toSuggestions(overallScores, overallSessions), ...result('overall') };
+  }
+
+  // Sparse history around this time: lean on it as far as it goes, and let the
+  // user's overall favourites make up the rest
+  const timeShare = evidence / MIN_TIME_EVIDENCE;
+  const timeTotal = [...timeScores.values()].reduce((sum, score) => sum + score, 0);
+  const overallTotal = [...overallScores.values()].reduce((sum, score) => sum + score, 0);
+  const blendedScores = new Map();
+
+  overallScores.forEach((score, mood) => {
+    blendedScores.set(mood,
+      timeShare * ((timeScores.get(mood) || 0) / timeTotal) +
+      (1 - timeShare) * (score / overallTotal)
+    );
+  });
+
+  return { suggestions: toSuggestions(blendedScores, overallSessions), ...result('blended') };
+}
+
+module.exports = {
+  HALF_LIFE_DAYS,
+  predictMoods
+};
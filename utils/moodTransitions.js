@@ -0,0 +1,148 @@
+/**
+ * MOOD TRANSITIONS
+ *
+ * Looks at the order a user picks moods in, not just how often: what they
+ * pick after each mood, how likely each follow-up is, and how long it
+ * usually takes. Two consecutive logs make a transition, as long as they're
+ * no more than MAX_GAP_HOURS apart - after that it's a fresh start rather
+ * than one mood leading to another.
+ *
+ * Blends count as their heaviest mood, like everywhere else a log needs a
+ * single mood (e.g. track feedback).
+ */
+
+const { DEFAULT_TIMEZONE, getZonedParts, toDayString, getTimeOfDayLabel } = require('./timezone');
+
+// Logs further apart than this aren't a transition
+const MAX_GAP_HOURS = 48;
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Middle value of a list of numbers
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Describe a gap in minutes, e.g. "20 minutes", "3 hours", "1 day"
+ */
+function formatGap(minutes) {
+  if (minutes < 60) {
+    const rounded = Math.max(1, Math.round(minutes));
+    return `${rounded} minute${rounded === 1 ? '' : 's'}`;
+  }
+  if (minutes < 24 * 60) {
+    const hours = Math.round(minutes / 60);
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  const days = Math.round(minutes / (24 * 60));
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * Analyze the transitions between a user's consecutive mood logs
+ *
+ * @param {array} logs - The user's logs, oldest first: { mood, timestamp }
+ * @param {string} timezone - The user's time zone, for times of day
+ * @returns {object} {
+ *   moods: every mood that starts or ends a transition, most frequent first,
+ *   matrix: { [from]: { total, to: { [to]: { count, probability, medianGapMinutes } } } },
+ *   transitions: [{ from, to, count, probability, medianGapMinutes }] - most common first,
+ *   timeOfDay: [{ from, fromTimeOfDay, to, toTimeOfDay, count, probability }] - same-day
+ *              transitions into a later time of day, like energetic mornings to focused afternoons,
+ *   totalTransitions
+ * }
+ */
+function analyzeTransitions(logs, timezone = DEFAULT_TIMEZONE) {
+  const cells = new Map();         // "from|to" -> { from, to, gaps: [] }
+  const dayparts = new Map();      // "from|fromTimeOfDay|to|toTimeOfDay" -> count
+  const daypartTotals = new Map(); // "from|fromTimeOfDay" -> count
+  const moodTotals = new Map();
+  let totalTransitions = 0;
+
+  for (let i = 1; i < logs.length; i++) {
+    const previous = logs[i - 1];
+    const next = logs[i];
+    const gapMinutes = (new Date(next.timestamp) - new Date(previous.timestamp)) / MS_PER_MINUTE;
+
+    if (gapMinutes < 0 || gapMinutes > MAX_GAP_HOURS * 60) continue;
+
+    const key = `${previous.mood}|${next.mood}`;
+    if (!cells.has(key)) cells.set(key, { from: previous.mood, to: next.mood, gaps: [] });
+    cells.get(key).gaps.push(gapMinutes);
+
+    [previous.mood, next.mood].forEach(mood => moodTotals.set(mood, (moodTotals.get(mood) || 0) + 1));
+    totalTransitions++;
+
+    // Same-day moves into a later part of the day
+    if (toDayString(new Date(previous.timestamp), timezone) === toDayString(new Date(next.timestamp), timezone)) {
+      const fromHour = getZonedParts(new Date(previous.timestamp), timezone).hour;
+      const toHour = getZonedParts(new Date(next.timestamp), timezone).hour;
+      const fromTimeOfDay = getTimeOfDayLabel(fromHour);
+      const toTimeOfDay = getTimeOfDayLabel(toHour);
+
+      // Compare hours, not labels: "night" covers both ends of the day (21:00-04:59),
+      // so 2 AM to 10 AM is night into morning
+      if (toTimeOfDay !== fromTimeOfDay && toHour > fromHour) {
+        const daypartKey = `${previous.mood}|${fromTimeOfDay}|${next.mood}|${toTimeOfDay}`;
+        const totalKey = `${previous.mood}|${fromTimeOfDay}`;
+        dayparts.set(daypartKey, (dayparts.get(daypartKey) || 0) + 1);
+        daypartTotals.set(totalKey, (daypartTotals.get(totalKey) || 0) + 1);
+      }
+    }
+  }
+
+  // How many transitions start from each mood
+  const fromTotals = new Map();
+  cells.forEach(({ from, gaps }) => fromTotals.set(from, (fromTotals.get(from) || 0) + gaps.length));
+
+  const transitions = [...cells.values()]
+    .map(({ from, to, gaps }) => ({
+      from,
+      to,
+      count: gaps.length,
+      probability: Math.round((gaps.length / fromTotals.get(from)) * 100) / 100,
+      medianGapMinutes: Math.round(median(gaps))
+    }))
+    .sort((a, b) => b.count - a.count || b.probability - a.probability);
+
+  // Keyed by mood names, which can be any custom mood (even "constructor"),
+  // so no prototype to collide with
+  const matrix = Object.create(null);
+  transitions.forEach(({ from, to, count, probability, medianGapMinutes }) => {
+    matrix[from] = matrix[from] || { total: fromTotals.get(from), to: Object.create(null) };
+    matrix[from].to[to] = { count, probability, medianGapMinutes };
+  });
+
+  const timeOfDay = [...dayparts.entries()]
+    .map(([key, count]) => {
+      const [from, fromTimeOfDay, to, toTimeOfDay] = key.split('|');
+      return {
+        from,
+        fromTimeOfDay,
+        to,
+        toTimeOfDay,
+        count,
+        probability: Math.round((count / daypartTotals.get(`${from}|${fromTimeOfDay}`)) * 100) / 100
+      };
+    })
+    .sort((a, b) => b.count - a.count || b.probability - a.probability);
+
+  return {
+    moods: [...moodTotals.entries()].sort((a, b) => b[1] - a[1]).map(([mood]) => mood),
+    matrix,
+    transitions,
+    timeOfDay,
+    totalTransitions
+  };
+}
+
+module.exports = {
+  MAX_GAP_HOURS,
+  analyzeTransitions,
+  formatGap
+};
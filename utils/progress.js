@@ -0,0 +1,89 @@
+/**
+ * STREAKS AND GOAL PERIODS
+ *
+ * Date helpers for the engagement system (routes/progress.js):
+ * - Daily logging streaks from the days a user logged a mood
+ * - The calendar week or month a goal covers
+ *
+ * Days are "YYYY-MM-DD" strings in the user's time zone (see
+ * utils/timezone.js), so they sort and compare as plain strings.
+ */
+
+const { DEFAULT_TIMEZONE, getZonedParts, toDayString, startOfDay } = require('./timezone');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn a "YYYY-MM-DD" day into a whole number of days, so consecutive days differ by 1
+ */
+function dayNumber(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return Date.UTC(year, month - 1, date) / MS_PER_DAY;
+}
+
+/**
+ * Work out a user's logging streaks
+ *
+ * @param {array} days - Days the user logged a mood ("YYYY-MM-DD", oldest first, no repeats)
+ * @param {string} today - Today as "YYYY-MM-DD"
+ * @returns {object} {
+ *   current: days in a row up to today - a streak is still alive if the last log was
+ *            yesterday, since there's still time to log today,
+ *   longest: the longest run of days in a row ever,
+ *   lastLoggedDay: the most recent day with a log (or null),
+ *   loggedToday: whether today already counts
+ * }
+ */
+function computeStreaks(days, today) {
+  let longest = 0;
+  let run = 0;
+
+  days.forEach((day, i) => {
+    run = i > 0 && dayNumber(day) - dayNumber(days[i - 1]) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const lastLoggedDay = days.length > 0 ? days[days.length - 1] : null;
+  const daysSinceLast = lastLoggedDay ? dayNumber(today) - dayNumber(lastLoggedDay) : Infinity;
+
+  return {
+    current: daysSinceLast <= 1 ? run : 0,
+    longest,
+    lastLoggedDay,
+    loggedToday: daysSinceLast === 0
+  };
+}
+
+/**
+ * Get the calendar period containing a date, in the user's time zone
+ * Weeks run Monday to Sunday.
+ * @param {string} period - "week" or "month"
+ * @returns {object} { startsAt, endsAt, days } - endsAt is the start of the next period
+ */
+function getPeriodRange(period, date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day, dayOfWeek } = getZonedParts(date, timeZone);
+  let startsAt;
+  let endsAt;
+
+  if (period === 'week') {
+    const monday = day - (dayOfWeek + 6) % 7;
+    startsAt = startOfDay(year, month, monday, timeZone);
+    endsAt = startOfDay(year, month, monday + 7, timeZone);
+  } else if (period === 'month') {
+    startsAt = startOfDay(year, month, 1, timeZone);
+    endsAt = startOfDay(year, month + 1, 1, timeZone);
+  } else {
+    throw new Error(`Unknown goal period: ${period}`);
+  }
+
+  return {
+    startsAt,
+    endsAt,
+    days: Math.round(dayNumber(toDayString(endsAt, timeZone)) - dayNumber(toDayString(startsAt, timeZone)))
+  };
+}
+
+module.exports = {
+  computeStreaks,
+  getPeriodRange
+};
@@ -0,0 +1,141 @@
+/**
+ * TIME ZONE HELPERS
+ *
+ * Moodify groups logs by the user's own day and hour, so a late-evening
+ * log in Tokyo lands on the right day and "you listen most at 9 PM" means
+ * 9 PM where the user is. Time zones are IANA names like "Asia/Tokyo",
+ * captured from the browser and stored in UserSettings.
+ *
+ * Users whose browser hasn't reported a time zone yet get the server's.
+ */
+
+// The server's IANA time zone - used until we know the user's
+const DEFAULT_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Building a formatter is slow, and a handful of time zones cover every user
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check that a string is an IANA time zone this server knows
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock date and time of an instant in a time zone
+ * @returns {object} { year, month (1-12), day, hour, minute, second, dayOfWeek (0 = Sunday) }
+ */
+function getZonedParts(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(date).map(({ type, value }) => [type, value])
+  );
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Day of week (0 = Sunday) and hour of day (0-23) of an instant in a time zone
+ */
+function getTimeFields(date, timeZone = DEFAULT_TIMEZONE) {
+  const { dayOfWeek, hour } = getZonedParts(date, timeZone);
+  return { dayOfWeek, hourOfDay: hour };
+}
+
+/**
+ * Format an instant as a "YYYY-MM-DD" day in a time zone
+ */
+function toDayString(date, timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Find the instant a calendar day starts in a time zone
+ * Month and day may overflow (day 32 is the 1st of next month), like Date.UTC.
+ * @param {number} month - 1-12
+ */
+function startOfDay(year, month, day, timeZone = DEFAULT_TIMEZONE) {
+  const midnightUtc = Date.UTC(year, month - 1, day);
+
+  // How far the zone's clock is ahead of UTC around then. Checked twice,
+  // because the offset at our first guess can differ across a DST change.
+  const offsetAt = instant => {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+  };
+
+  const guess = midnightUtc - offsetAt(midnightUtc);
+  return new Date(midnightUtc - offsetAt(guess));
+}
+
+/**
+ * Get the last `days` calendar days up to and including today, in a time zone
+ * @returns {object} { since, from, to } - since is when the first day started;
+ *   from and to are the first and last days as "YYYY-MM-DD"
+ */
+function getRecentDays(days, timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+  const { year, month, day } = getZonedParts(now, timeZone);
+  const since = startOfDay(year, month, day - (days - 1), timeZone);
+
+  return {
+    since,
+    from: toDayString(since, timeZone),
+    to: toDayString(now, timeZone)
+  };
+}
+
+/**
+ * Label an hour of the day (0-23): morning, afternoon, evening or night
+ */
+function getTimeOfDayLabel(hour) {
+  if (hour >= 5 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 17) return 'afternoon';
+  if (hour >= 17 && hour < 21) return 'evening';
+  return 'night';
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getTimeFields,
+  toDayString,
+  startOfDay,
+  getRecentDays,
+  getTimeOfDayLabel
+};
@@ -0,0 +1,76 @@
+/**
+ * TOKEN ENCRYPTION
+ *
+ * Encrypts secrets like Spotify access and refresh tokens before they're
+ * stored, so a database dump or backup doesn't hand out working tokens.
+ * Uses AES-256-GCM, which also detects tampering.
+ *
+ * The key comes from SESSION_ENCRYPTION_KEY (32 bytes as 64 hex characters
+ * or base64, checked by config/env.js). Without it, a key is derived from
+ * SESSION_SECRET - fine for development, but set a separate key in
+ * production so the two secrets can be rotated independently.
+ *
+ * Security Note: changing the key makes stored tokens unreadable, which
+ * logs everyone out. That's safe, just inconvenient.
+ */
+
+const crypto = require('crypto');
+const { config } = require('../config/env');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+// Marks encrypted values, with a version so the format can change later
+const PREFIX = 'enc:v1:';
+
+let key = null;
+
+/**
+ * Get the encryption key (worked out on first use)
+ */
+function getKey() {
+  if (!key) {
+    key = config.SESSION_ENCRYPTION_KEY
+      || crypto.scryptSync(config.SESSION_SECRET, 'moodify-token-encryption', 32);
+  }
+
+  return key;
+}
+
+/**
+ * Check whether a value was encrypted by encryptToken
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a string
+ * @returns {string} "enc:v1:<iv>:<auth tag>:<ciphertext>", all base64
+ */
+function encryptToken(plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a value from encryptToken
+ * @throws {Error} If it was encrypted with another key or has been tampered with
+ */
+function decryptToken(value) {
+  const [iv, authTag, ciphertext] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  isEncrypted,
+  encryptToken,
+  decryptToken
+};